@@ -0,0 +1,298 @@
+/**
+ * Tests of the DOM-free core, run in Node with `node --test test/`
+ */
+
+// Local time matters for the ICS recurrence tests, which cross a DST change
+process.env.TZ = "Europe/Paris";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const Timetable = require("../timetable.js");
+
+const record = (date, time, name, extra = {}) => ({
+    Date: date,
+    Heure: time,
+    "Matière": name,
+    Salle: "Amphi B - VEL",
+    Personnel: "ZEITOUNI Karine",
+    Groupe: "INF1",
+    "Catégorie d’événement": "Cours Magistraux (CM)",
+    Remarques: null,
+    ...extra,
+});
+
+const data = [
+    record("10/03/2025", "14:00-15:00", "IN2R06"),
+    record("10/03/2025", "14:30-16:00", "IN2R11"),
+    record("11/03/2025", "09:00-10:30", "IN2R13"),
+];
+
+test("prepareData parses records and reports invalid rows", () => {
+    const timetable = new Timetable(null, []);
+    const events = timetable.prepareData([...data, record("32/03/2025", "14:00-15:00", "Broken")]);
+
+    assert.strictEqual(events.length, 3);
+    assert.strictEqual(events[0].name, "IN2R06");
+    assert.strictEqual(events[0].dateKey, "2025-03-10");
+    assert.strictEqual(events[0].startMinutes, 14 * 60);
+    assert.strictEqual(events[0].endMinutes, 15 * 60);
+    assert.strictEqual(events[0].location, "Amphi B - VEL");
+    assert.strictEqual(timetable.errors.length, 1);
+    assert.strictEqual(timetable.errors[0].index, 3);
+});
+
+test("generated ids survive reloading fresh copies of the data", () => {
+    const timetable = new Timetable(null, data.map((item) => ({ ...item })));
+    const ids = timetable.events.map((event) => event.id);
+
+    timetable.setData(data.map((item) => ({ ...item })));
+    assert.deepStrictEqual(timetable.events.map((event) => event.id), ids);
+});
+
+test("generateTimeSlots follows automatic hours in a headless instance", () => {
+    const timetable = new Timetable(null, [
+        record("10/03/2025", "06:00-07:00", "Early"),
+        record("11/03/2025", "19:00-20:00", "Late"),
+    ], { startHour: "auto", endHour: "auto", autoPadding: 0, timeInterval: 30 });
+    const slots = timetable.generateTimeSlots();
+
+    assert.strictEqual(slots[0].minutes, 6 * 60);
+    assert.strictEqual(slots[slots.length - 1].minutes, 19 * 60 + 30);
+    assert.strictEqual(slots[0].label, "06:00");
+});
+
+test("layoutDay places overlapping events in lanes", () => {
+    const events = new Timetable(null, data).events.filter((event) => event.dateKey === "2025-03-10");
+    const { blocks, before, after, height } = Timetable.layoutDay(events, {
+        start: 8 * 60,
+        end: 18 * 60,
+        timeInterval: 30,
+        slotHeight: 20,
+        minRowSpan: 1,
+    });
+
+    assert.strictEqual(height, 20 * 20);
+    assert.deepStrictEqual(before, []);
+    assert.deepStrictEqual(after, []);
+    assert.deepStrictEqual(blocks.map(({ lane, laneCount, top, height }) => ({ lane, laneCount, top, height })), [
+        { lane: 0, laneCount: 2, top: 240, height: 40 },
+        { lane: 1, laneCount: 2, top: 260, height: 60 },
+    ]);
+});
+
+test("layoutDay clips events to the visible range", () => {
+    const events = [
+        { startMinutes: 7 * 60, endMinutes: 9 * 60 },
+        { startMinutes: 5 * 60, endMinutes: 6 * 60 },
+        { startMinutes: 19 * 60, endMinutes: 20 * 60 },
+    ];
+    const { blocks, before, after } = Timetable.layoutDay(events, { start: 8 * 60, end: 18 * 60 });
+
+    assert.strictEqual(before.length, 1);
+    assert.strictEqual(after.length, 1);
+    assert.strictEqual(blocks[0].clippedStart, true);
+    assert.strictEqual(blocks[0].startMinutes, 8 * 60);
+});
+
+test("renderToString renders the grid without a browser", () => {
+    const html = Timetable.renderToString(data, { initialDate: "2025-03-10" });
+
+    assert.match(html, /^<div class="timetable-wrapper timetable-view-week">/);
+    assert.strictEqual((html.match(/<td class="day-column" data-key="2025-03-1\d">/g) || []).length, 5);
+    assert.strictEqual((html.match(/<div class="event /g) || []).length, 3);
+    assert.match(html, /<div class="event-title"><i [^>]*><\/i>IN2R06<\/div>/);
+    assert.match(html, /left: 50%; width: 50%;/);
+});
+
+test("renderToString escapes event data", () => {
+    const html = Timetable.renderToString([record("10/03/2025", "14:00-15:00", "<b>A & B</b>")], {
+        initialDate: "2025-03-10",
+        showIcons: false,
+    });
+
+    assert.match(html, /<div class="event-title">&lt;b&gt;A &amp; B&lt;\/b&gt;<\/div>/);
+});
+
+test("hook handlers can destructure preventDefault", () => {
+    const timetable = new Timetable(null, data);
+    timetable.on("eventClick", ({ preventDefault }) => preventDefault());
+
+    const payload = timetable._emit("eventClick", { event: timetable.events[0], raw: timetable.events[0].raw });
+    assert.strictEqual(payload.defaultPrevented, true);
+});
+
+test("beforeEventChange handlers can reject a move into a taken room", () => {
+    const timetable = new Timetable(null, data.map((item) => ({ ...item })));
+    timetable.on("beforeEventChange", ({ conflicts, preventDefault }) => {
+        if (conflicts.some((conflict) => conflict.type === "location")) {
+            preventDefault();
+        }
+    });
+    const event = timetable.events.find((item) => item.name === "IN2R13");
+
+    const changed = timetable._changeEvent(event, { date: new Date(2025, 2, 10), startMinutes: 14 * 60, endMinutes: 15 * 60 }, "move");
+    assert.strictEqual(changed, false);
+    assert.strictEqual(timetable.getEvent(event.id).dateKey, "2025-03-11");
+
+    const moved = timetable._changeEvent(event, { date: new Date(2025, 2, 11), startMinutes: 11 * 60, endMinutes: 12 * 60 + 30 }, "move");
+    assert.strictEqual(moved, true);
+    assert.strictEqual(timetable.getEvent(event.id).raw.Heure, "11:00-12:30");
+});
+
+test("edits are reverted when the adapter cannot serialize them", () => {
+    const timetable = new Timetable(null, [{ from: "2025-03-10T14:00", to: "2025-03-10T15:00", name: "IN2R06" }], {
+        parse: (record) => ({ start: new Date(record.from), end: new Date(record.to) }),
+    });
+    let emitted = false;
+    timetable.on("eventChange", () => {
+        emitted = true;
+    });
+    const [event] = timetable.events;
+
+    const changed = timetable._changeEvent(event, { date: new Date(2025, 2, 10), startMinutes: 16 * 60, endMinutes: 17 * 60 }, "move");
+    assert.strictEqual(changed, false);
+    assert.strictEqual(emitted, false);
+    assert.strictEqual(timetable.events[0].startMinutes, 14 * 60);
+});
+
+test("resource view groups events without a room in a trailing column", () => {
+    const html = Timetable.renderToString([
+        record("10/03/2025", "14:00-15:00", "IN2R06", { Salle: "G21 - VEL" }),
+        record("10/03/2025", "09:00-10:00", "IN2R11", { Salle: null }),
+    ], { initialDate: "2025-03-10", view: "resource", locale: "en" });
+
+    const keys = [...html.matchAll(/<td class="day-column" data-key="([^"]*)">/g)].map((match) => match[1]);
+    assert.deepStrictEqual(keys, ["G21 - VEL", "TBD"]);
+    assert.match(html, />Unspecified</);
+    assert.strictEqual((html.match(/<div class="event /g) || []).length, 2);
+});
+
+const ics = (...lines) => ["BEGIN:VCALENDAR", ...lines, "END:VCALENDAR"].join("\r\n");
+
+const weeklyFeed = ics(
+    "BEGIN:VEVENT",
+    "UID:algo",
+    "DTSTART:20250310T140000",
+    "DTEND:20250310T150000",
+    "RRULE:FREQ=WEEKLY;BYDAY=MO,WE;COUNT=5",
+    "EXDATE:20250312T140000",
+    "SUMMARY:IN2R06",
+    "LOCATION:Amphi B - VEL",
+    "CATEGORIES:Cours Magistraux\\, CM,Autre",
+    "END:VEVENT",
+    "BEGIN:VEVENT",
+    "UID:algo",
+    "RECURRENCE-ID:20250317T140000",
+    "DTSTART:20250317T160000",
+    "DTEND:20250317T170000",
+    "SUMMARY:IN2R06 (moved)",
+    "END:VEVENT",
+);
+
+test("fromICS expands weekly rules with COUNT, EXDATE and RECURRENCE-ID", () => {
+    const events = Timetable.fromICS(weeklyFeed);
+
+    assert.deepStrictEqual(events.map(({ dateKey, startMinutes, name }) => ({ dateKey, startMinutes, name })), [
+        { dateKey: "2025-03-10", startMinutes: 14 * 60, name: "IN2R06" },
+        { dateKey: "2025-03-17", startMinutes: 16 * 60, name: "IN2R06 (moved)" },
+        { dateKey: "2025-03-19", startMinutes: 14 * 60, name: "IN2R06" },
+        { dateKey: "2025-03-24", startMinutes: 14 * 60, name: "IN2R06" },
+    ]);
+    assert.strictEqual(events[0].day, "Monday");
+    assert.strictEqual(events[0].category, "Cours Magistraux, CM");
+    assert.strictEqual(events[0].raw.location, "Amphi B - VEL");
+});
+
+test("fromICS keeps the wall-clock time of TZID rules across DST", () => {
+    const events = Timetable.fromICS(ics(
+        "BEGIN:VEVENT",
+        "UID:td",
+        "DTSTART;TZID=Europe/Paris:20250324T090000",
+        "DTEND;TZID=Europe/Paris:20250324T103000",
+        "RRULE:FREQ=WEEKLY;COUNT=2",
+        "SUMMARY:IN2R11",
+        "END:VEVENT",
+    ));
+
+    assert.deepStrictEqual(events.map((event) => event.start.toISOString()), [
+        "2025-03-24T08:00:00.000Z",
+        "2025-03-31T07:00:00.000Z",
+    ]);
+    assert.deepStrictEqual(events.map((event) => event.startTime), ["09:00", "09:00"]);
+});
+
+test("importICS adds a feed to a timetable using another adapter", () => {
+    const timetable = new Timetable(null, data);
+    const ids = timetable.importICS(weeklyFeed);
+
+    assert.strictEqual(ids.length, 4);
+    const added = timetable.getEvent(ids[0]);
+    assert.strictEqual(added.raw.Date, "10/03/2025");
+    assert.strictEqual(added.raw.Heure, "14:00-15:00");
+    assert.strictEqual(added.raw["Matière"], "IN2R06");
+    assert.strictEqual(timetable.events.length, data.length + 4);
+});
+
+test("exportCSV and parseCSV round-trip quotes, delimiters and line breaks", () => {
+    const remarks = 'Salle "B"; apporter\nle TP';
+    const timetable = new Timetable(null, [record("10/03/2025", "14:00-15:00", "IN2R06", { Remarques: remarks })]);
+    const rows = Timetable.parseCSV(timetable.exportCSV());
+
+    assert.strictEqual(rows.length, 1);
+    assert.strictEqual(rows[0].Remarques, remarks);
+    assert.strictEqual(rows[0].Heure, "14:00-15:00");
+    assert.strictEqual(rows[0]["Catégorie d’événement"], "Cours Magistraux (CM)");
+});
+
+test("parseCSV detects ';' and renames headers written with a straight apostrophe", () => {
+    const rows = Timetable.parseCSV("\uFEFFDate;Heure;Matière;Catégorie d'événement\r\n10/03/2025;14:00-15:00;IN2R06;TD\r\n");
+
+    assert.deepStrictEqual(rows, [{ Date: "10/03/2025", Heure: "14:00-15:00", "Matière": "IN2R06", "Catégorie d’événement": "TD" }]);
+});
+
+test("findConflicts reports a parent group overlapping its subgroup", () => {
+    const timetable = new Timetable(null, [
+        record("10/03/2025", "14:00-15:00", "IN2R06"),
+        record("10/03/2025", "14:30-16:00", "IN2R11", { Groupe: "INF1-B", Salle: "G21 - VEL", Personnel: "OSTER Alain" }),
+        record("10/03/2025", "14:00-15:00", "IN2R13", { Groupe: "INF2", Salle: "G22 - VEL", Personnel: "CUKALLA Etleva" }),
+    ]);
+    const conflicts = timetable.findConflicts();
+
+    assert.deepStrictEqual(conflicts.location, []);
+    assert.deepStrictEqual(conflicts.staff, []);
+    assert.strictEqual(conflicts.group.length, 1);
+    assert.strictEqual(conflicts.group[0].resource, "INF1");
+    assert.deepStrictEqual([conflicts.group[0].start, conflicts.group[0].end], [14 * 60 + 30, 15 * 60]);
+});
+
+test("findFreeSlots and findFreeRooms skip busy periods and rooms", () => {
+    const timetable = new Timetable(null, [
+        record("10/03/2025", "14:00-15:00", "IN2R06"),
+        record("10/03/2025", "10:00-11:00", "IN2R13", { Groupe: "INF2", Salle: "G21 - VEL" }),
+    ]);
+    const slots = timetable.findFreeSlots({
+        groups: ["INF1-B"],
+        within: { start: new Date(2025, 2, 10), end: new Date(2025, 2, 10) },
+        dayStart: "08:00",
+        dayEnd: "18:00",
+    });
+
+    assert.deepStrictEqual(slots.map(({ startTime, endTime }) => [startTime, endTime]), [["08:00", "14:00"], ["15:00", "18:00"]]);
+    assert.deepStrictEqual(timetable.findFreeRooms("10/03/2025", "14:00", "15:00"), ["G21 - VEL"]);
+    assert.deepStrictEqual(timetable.findFreeRooms("10/03/2025", "10:30", "14:30"), []);
+});
+
+test("matchesFilter treats groups as a hierarchy", () => {
+    const timetable = new Timetable(null, [
+        record("10/03/2025", "14:00-15:00", "Whole year", { Groupe: "INF1" }),
+        record("10/03/2025", "15:00-16:00", "Subgroup A", { Groupe: "INF1-A" }),
+        record("10/03/2025", "15:00-16:00", "Subgroup B", { Groupe: "INF1-B" }),
+        record("10/03/2025", "16:00-17:00", "Other year", { Groupe: "INF2" }),
+    ]);
+    const shown = () => timetable.events.filter((event) => timetable.matchesFilter(event)).map((event) => event.name);
+
+    timetable.setFilter({ group: "INF1" });
+    assert.deepStrictEqual(shown(), ["Whole year", "Subgroup A", "Subgroup B"]);
+    timetable.setFilter({ group: "INF1-B" });
+    assert.deepStrictEqual(shown(), ["Whole year", "Subgroup B"]);
+});
@@ -5,17 +5,58 @@
 
 class Timetable {
     /**
-     * Creates a new Timetable instance
-     * @param {string} containerId - ID of the container element
+     * Creates a new Timetable instance. Without a container id, or outside a browser,
+     * the instance is headless: it prepares and lays out the data (`prepareData`,
+     * `generateTimeSlots`, `findFreeSlots`, ...) but renders nothing.
+     * @param {string|null} containerId - ID of the container element
      * @param {Array} data - Array of event objects
      * @param {Object} options - Configuration options (optional)
      */
     constructor(containerId, data, options = {}) {
-        this.container = document.getElementById(containerId);
+        this._headless = containerId === null || containerId === undefined || typeof document === "undefined";
+        this._document = typeof document !== "undefined" ? document : Timetable._markupDocument; // Builds the markup
+        this.container = this._headless ? null : document.getElementById(containerId);
         this.options = this._mergeDefaultOptions(options);
-        this.data = this.prepareData(data);
-        this.timeSlots = this.generateTimeSlots();
+        this._formatters = new Map(); // Cached Intl.DateTimeFormat instances
+        this.rawData = Array.isArray(data) ? [...data] : [];
+        this._generatedIds = new WeakMap(); // Ids of records that do not carry one
+        this.events = this.prepareData(this.rawData);
+        this.data = {};
+        this.currentDate = this._getInitialDate();
+        this.timeSlots = [];
         this.modalElement = null;
+        this.wrapperElement = null;
+        this._usesFontAwesome = false;
+        this._listeners = {}; // Handlers registered with on(), keyed by hook name
+        this.filter = {};
+        this.filterBarElement = null;
+        this.view = this.options.view;
+        this.highlightedSlots = [];
+        this._onHighlightSelect = null;
+        this._nowTimer = null;
+        this._categoryColors = new Map(); // Palette colors given to unconfigured categories
+        this._domId = `timetable-${++Timetable._instanceCount}`; // Prefix of generated element ids
+        this._summaryCount = 0;
+        this._previousFocus = null;
+        this._columnCache = new Map(); // Rendered grid columns by key, with their signature
+        this._recordSerials = new WeakMap(); // Numbers telling raw records apart
+        this._recordSerialCount = 0;
+
+        // Re-evaluate the automatic view (week or agenda) when the window is resized
+        this._onWindowResize = () => {
+            if (!this.view && this.wrapperElement && this.getView() !== this._renderedView) {
+                this.render();
+            }
+        };
+        if (this._headless) {
+            this.render();
+            return;
+        }
+        window.addEventListener("resize", this._onWindowResize);
+
+        if (this.container) {
+            this.container.innerHTML = "";
+        }
 
         // Load required CSS and dependencies
         this._loadDependencies();
@@ -25,6 +66,7 @@ class Timetable {
 
         // Render the timetable
         this.render();
+        this._scheduleNowUpdates();
     }
 
     /**
@@ -35,663 +77,3932 @@ class Timetable {
             weekdays: ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday"],
             timeInterval: 15, // minutes
             minRowSpan: 2,
-            showIcons: true,
+            showIcons: true,    // Show the category icons (Font Awesome classes from `categories`)
             modalEnabled: true, // New option to enable/disable modal
             showProf: true,     // NEW option: display professor info
-            showClasse: true    // NEW option: display classroom info
+            showClasse: true,   // NEW option: display classroom info
+            adapter: "french",  // Built-in adapter name or { fields, parse, serialize } object
+            fieldMap: {},       // Overrides the raw keys read by the adapter
+            parse: null,        // Custom parser: (record, fields) => { start, end, ... }
+            serialize: null,    // Custom writer for edits: ({ start, end }, fields, record) => raw patch
+            initialDate: null,  // Date (or dd/mm/yyyy / ISO string) of the first week shown
+            showNavigation: false, // Render previous/today/next buttons above the table
+            weekStartsOn: "Monday", // First day of the week (day name or 0 = Sunday ... 6 = Saturday)
+            dayNames: null,     // Header labels keyed by day, e.g. { Monday: "Lundi" } (default: from `locale`)
+            locale: "en-GB",    // Locale of dates, times and messages (e.g. "fr-FR", "en-US")
+            hour12: null,       // true/false forces a 12/24-hour clock; null follows the locale
+            messages: {},       // Overrides entries of the message catalog (see Timetable.messages)
+            startHour: 8,       // First visible hour, or "auto" to fit the events
+            endHour: 18,        // Last visible hour (exclusive), or "auto" to fit the events
+            autoPadding: 30,    // Minutes added around the events in "auto" mode
+            slotHeight: 20,     // Height in pixels of one time slot
+            loadFontAwesome: true, // Inject the Font Awesome CDN stylesheet when showIcons is on
+            modalRoot: null,    // Element or selector the modal is mounted in (defaults to the container)
+            sanitizeHtml: null, // (html, event) => safeHtml; opts remarks into HTML rendering
+            modalExport: false, // Show an "Add to calendar" (.ics) button in the modal
+            showFilterBar: false, // Render group/category/staff/room selects and a search box
+            groupSeparator: "-", // Separates group levels: "INF1" includes "INF1-B"
+            view: null,         // "day", "week", "month", "agenda" or "resource"; null picks week or agenda by width
+            views: ["day", "week", "month", "agenda"], // View buttons shown in the toolbar
+            resourceField: "location", // Field whose values become columns in the resource view
+            resources: null,    // Fixed list of resource columns (defaults to those of the day)
+            agendaBreakpoint: 768, // Container width (px) below which the automatic view is "agenda"
+            monthMaxChips: 3,   // Event chips shown per day in the month view
+            showConflicts: false, // Mark events involved in a room, staff or group conflict
+            categories: null,   // Category colors, labels and icons (see getCategoryStyle)
+            categoryPalette: ["#3a86ff", "#8338ec", "#ff9e00", "#06d6a0", "#ef476f", "#8ac926",
+                "#1982c4", "#ff595e", "#6a4c93", "#2ec4b6"], // Colors given to unconfigured categories
+            showLegend: false,  // Render a legend of the visible categories above the timetable
+            renderEvent: null,  // (event, ctx) => Node or HTML string replacing an event's content
+            renderModal: null,  // (event, ctx) => Node or HTML string replacing the modal body
+            editable: false,    // Move events by dragging (or Alt+arrows) and resize them from the bottom edge
+            showNow: false,     // Highlight today, draw the current time and mark past/current/next events
+            nowRefreshInterval: 60000, // Milliseconds between updates of the "now" indicator
+            now: null,          // Clock: () => Date, defaults to the system time
+            onEventClick: null, // Hook callbacks, same as on("eventClick", ...) etc.
+            onEventHover: null,
+            onSlotClick: null,
+            onModalOpen: null,
+            onModalClose: null,
+            onRender: null,
+            onNavigate: null,
+            onViewChange: null,
+            onFreeSlotSelect: null,
+            onBeforeEventChange: null,
+            onEventChange: null
         };
 
         return { ...defaults, ...userOptions };
     }
 
     /**
-     * Loads external dependencies (FontAwesome)
+     * Registers a hook handler. Hooks: "eventClick", "eventHover", "slotClick",
+     * "modalOpen", "modalClose", "render", "navigate", "viewChange", "freeSlotSelect",
+     * "beforeEventChange" and "eventChange".
+     * @param {string} name - Hook name
+     * @param {Function} handler - Receives a payload object (see `_emit`)
+     * @returns {Timetable} The instance, for chaining
+     */
+    on(name, handler) {
+        if (!this._listeners[name]) {
+            this._listeners[name] = [];
+        }
+        this._listeners[name].push(handler);
+        return this;
+    }
+
+    /**
+     * Removes a hook handler registered with `on`
+     * @param {string} name - Hook name
+     * @param {Function} handler - Handler to remove
+     * @returns {Timetable} The instance, for chaining
+     */
+    off(name, handler) {
+        if (this._listeners[name]) {
+            this._listeners[name] = this._listeners[name].filter((h) => h !== handler);
+        }
+        return this;
+    }
+
+    /**
+     * Calls the `on<Name>` option callback, then the handlers registered with `on`.
+     * The payload gets `type`, `timetable` and a `preventDefault()` that cancels the
+     * built-in behaviour (e.g. opening the modal on "eventClick").
+     * @param {string} name - Hook name
+     * @param {Object} detail - Hook-specific payload properties
+     * @returns {Object} The payload, with `defaultPrevented`
+     */
+    _emit(name, detail = {}) {
+        const payload = {
+            ...detail,
+            type: name,
+            timetable: this,
+            defaultPrevented: false,
+        };
+        // A closure rather than a method, so handlers can destructure it
+        payload.preventDefault = () => {
+            payload.defaultPrevented = true;
+        };
+
+        const optionHandler = this.options[`on${name.charAt(0).toUpperCase()}${name.slice(1)}`];
+        const handlers = [
+            ...(typeof optionHandler === "function" ? [optionHandler] : []),
+            ...(this._listeners[name] || []),
+        ];
+        handlers.forEach((handler) => {
+            try {
+                handler.call(this, payload);
+            } catch (error) {
+                console.error(`Timetable: error in "${name}" handler`, error);
+            }
+        });
+
+        return payload;
+    }
+
+    /**
+     * Loads external dependencies (FontAwesome).
+     * The stylesheet is shared between instances and removed when the last one is destroyed.
      */
     _loadDependencies() {
+        if (this._headless || !this.options.showIcons || !this.options.loadFontAwesome || this._usesFontAwesome) {
+            return;
+        }
+
         // Add Font Awesome for icons if not present and icons are enabled
-        if (this.options.showIcons && !document.getElementById("font-awesome-css")) {
+        if (!document.getElementById("font-awesome-css")) {
             const fontAwesome = document.createElement("link");
             fontAwesome.id = "font-awesome-css";
             fontAwesome.rel = "stylesheet";
             fontAwesome.href = "https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css";
             document.head.appendChild(fontAwesome);
         }
+        this._usesFontAwesome = true;
+        Timetable._fontAwesomeUsers++;
     }
 
     /**
-     * Prepares raw data into a format suitable for the timetable
+     * Releases the shared Font Awesome stylesheet, removing it once no instance uses it
      */
-    prepareData(rawData) {
-        // Initialize prepared data object with weekdays
-        let prepared = {};
-        this.options.weekdays.forEach(day => {
-            prepared[day] = [];
-        });
-
-        // Map date string (dd/mm/yyyy) to day of week
-        const getDayOfWeek = (dateStr) => {
-            const parts = dateStr.split("/");
-            const date = new Date(parts[2], parts[1] - 1, parts[0]);
-            const days = [
-                "Sunday",
-                "Monday",
-                "Tuesday",
-                "Wednesday",
-                "Thursday",
-                "Friday",
-            ];
-            return days[date.getDay()];
-        };
-
-        // Process time string to get start and end times in minutes from midnight
-        const processTime = (timeStr) => {
-            const [range, startTime, endTime] = timeStr
-                .match(/(\d{1,2}:\d{2})-(\d{1,2}:\d{2})/)
-                .slice(0, 3);
-
-            const getMinutes = (time) => {
-                const [hours, minutes] = time.split(":").map(Number);
-                return hours * 60 + minutes;
-            };
+    _unloadDependencies() {
+        if (!this._usesFontAwesome) {
+            return;
+        }
 
-            const startMinutes = getMinutes(startTime);
-            const endMinutes = getMinutes(endTime);
+        this._usesFontAwesome = false;
+        Timetable._fontAwesomeUsers--;
+        if (Timetable._fontAwesomeUsers === 0) {
+            const fontAwesome = document.getElementById("font-awesome-css");
+            if (fontAwesome) {
+                fontAwesome.remove();
+            }
+        }
+    }
 
-            return {
-                startTime,
-                endTime,
-                startMinutes,
-                endMinutes,
-                duration: endMinutes - startMinutes,
-            };
-        };
+    /**
+     * Gets the element the modal is mounted in: `modalRoot`, else the container
+     * @returns {HTMLElement} Mount point
+     */
+    _getModalRoot() {
+        let root = this.options.modalRoot;
+        if (typeof root === "string") {
+            root = document.querySelector(root);
+        }
+        return root || this.container || document.body;
+    }
 
-        rawData.forEach((event) => {
-            const day = getDayOfWeek(event.Date);
-            if (prepared[day]) {
-                const timeInfo = processTime(event.Heure);
-
-                prepared[day].push({
-                    startTime: timeInfo.startTime,
-                    endTime: timeInfo.endTime,
-                    startMinutes: timeInfo.startMinutes,
-                    endMinutes: timeInfo.endMinutes,
-                    duration: timeInfo.duration,
-                    name:
-                        event.Matière || event["Catégorie d’événement"] || "Unspecified",
-                    location: event.Salle || "TBD",
-                    staff: event.Personnel || "N/A",
-                    group: event.Groupe || "All",
-                    category: event["Catégorie d’événement"] || "Other",
-                    remarks: event.Remarques || "",
-                });
+    /**
+     * Prepares raw data into a format suitable for the timetable.
+     * Rows that cannot be parsed are skipped and recorded in `this.errors`.
+     * @returns {Array} Prepared events sorted by start
+     */
+    prepareData(rawData) {
+        const prepared = [];
+        this.errors = [];
+        const adapter = this._getAdapter();
+        this._generateRecordIds(rawData || [], adapter.fields);
+
+        (rawData || []).forEach((record, index) => {
+            try {
+                prepared.push(this._parseRecord(record, adapter));
+            } catch (error) {
+                this.errors.push({ index, record, message: error.message });
             }
         });
+        if (this.errors.length > 0) {
+            console.warn(`Timetable: skipped ${this.errors.length} row(s) that could not be parsed, see timetable.errors`);
+        }
 
-        return prepared;
+        return prepared.sort((a, b) => a.start - b.start);
     }
 
     /**
-     * Generates time slots based on fixed range from 8:00 to 18:00
+     * Gets the id of a raw record: the value of its `id` field when present,
+     * otherwise the id generated from its content by `_generateRecordIds`
+     * @param {Object} record - Raw input record
+     * @param {Object} fields - Field map of the current adapter
+     * @returns {string} Event id
      */
-    generateTimeSlots() {
-        // Use fixed start and end times (8:00 to 18:00)
-        const startHour = 8; // 8:00
-        const endHour = 18;  // 18:00
-
-        // Convert hours to minutes
-        const startTimeMinutes = startHour * 60;
-        const endTimeMinutes = endHour * 60;
-
-        // Create time slots with specified time intervals
-        const slots = [];
-        for (let time = startTimeMinutes; time < endTimeMinutes; time += this.options.timeInterval) {
-            const hour = Math.floor(time / 60);
-            const minute = time % 60;
-            slots.push({
-                label: `${hour.toString().padStart(2, "0")}:${minute
-                    .toString()
-                    .padStart(2, "0")}`,
-                minutes: time,
-                isHour: minute === 0, // Flag to identify full hours
-                isHalfHour: minute === 30, // Flag to identify half hours
-            });
+    _getRecordId(record, fields) {
+        const id = record[fields.id];
+        if (id !== undefined && id !== null && id !== "") {
+            return String(id);
         }
-
-        return slots;
+        return this._generatedIds.get(record) || this._getContentId(record, fields);
     }
 
     /**
-     * Gets index of time slot for a specific time in minutes
-     * @param {number} timeInMinutes - Time in minutes from midnight
-     * @returns {number} Index of the corresponding time slot
+     * Generates ids for the records without an `id` field. They are derived from the
+     * date, time, name, location and group, so reloading the same data (polling with
+     * `setData`) gives the same ids; identical records get a "-2", "-3", ... suffix.
+     * A record keeps its id once generated, including after `updateEvent`.
+     * @param {Array} rawData - Raw input records
+     * @param {Object} fields - Field map of the current adapter
      */
-    getTimeSlotIndex(timeInMinutes) {
-        const interval = this.options.timeInterval;
-        const firstSlotMinutes = this.timeSlots[0].minutes;
+    _generateRecordIds(rawData, fields) {
+        const records = rawData.filter((record) => record && typeof record === "object" &&
+            (record[fields.id] === undefined || record[fields.id] === null || record[fields.id] === ""));
+        const taken = new Set(records.filter((record) => this._generatedIds.has(record))
+            .map((record) => this._generatedIds.get(record)));
+
+        records.filter((record) => !this._generatedIds.has(record)).forEach((record) => {
+            const base = this._getContentId(record, fields);
+            let id = base;
+            for (let n = 2; taken.has(id); n++) {
+                id = `${base}-${n}`;
+            }
+            taken.add(id);
+            this._generatedIds.set(record, id);
+        });
+    }
 
-        // Calculate the exact slot index without any rounding or adjustment
-        return Math.floor((timeInMinutes - firstSlotMinutes) / interval);
+    /**
+     * Hashes the fields identifying a record into an id such as "event-1x9k2f"
+     * @param {Object} record - Raw input record
+     * @param {Object} fields - Field map of the current adapter
+     * @returns {string} Event id
+     */
+    _getContentId(record, fields) {
+        const content = JSON.stringify(["date", "time", "start", "end", "name", "location", "group"]
+            .map((field) => (fields[field] ? record[fields[field]] : null)));
+        let hash = 5381;
+        for (let i = 0; i < content.length; i++) {
+            hash = (hash * 33 + content.charCodeAt(i)) >>> 0;
+        }
+        return `event-${hash.toString(36)}`;
     }
 
     /**
-     * Determines if a time falls exactly on a time slot
-     * @param {number} timeInMinutes - Time in minutes from midnight
-     * @returns {boolean} Whether the time is exact on a slot
+     * Finds the index in `rawData` of the record with the given id
+     * @param {string} id - Event id
+     * @returns {number} Index, or -1 when not found
      */
-    isExactTimeSlot(timeInMinutes) {
-        const interval = this.options.timeInterval;
-        const firstSlotMinutes = this.timeSlots[0].minutes;
+    _findRecordIndex(id) {
+        const fields = this._getAdapter().fields;
+        return this.rawData.findIndex((record) =>
+            record && typeof record === "object" && this._getRecordId(record, fields) === String(id));
+    }
 
-        // Check if time aligns exactly with a slot
-        return (timeInMinutes - firstSlotMinutes) % interval === 0;
+    /**
+     * Re-prepares the raw data and re-renders in place
+     */
+    _refresh() {
+        this.events = this.prepareData(this.rawData);
+        this.render();
     }
 
     /**
-     * Formats time label
+     * Replaces all events
+     * @param {Array} data - Array of raw event records
      */
-    formatTimeLabel(minutes) {
-        const hour = Math.floor(minutes / 60);
-        const minute = minutes % 60;
-        return `${hour.toString().padStart(2, "0")}:${minute
-            .toString()
-            .padStart(2, "0")}`;
+    setData(data) {
+        this.rawData = Array.isArray(data) ? [...data] : [];
+        this._refresh();
     }
 
     /**
-     * Calculate rowspan based on event duration (each segment = 15 minutes)
+     * Adds one event
+     * @param {Object} record - Raw event record
+     * @returns {string} Id of the added event
      */
-    getRowSpan(duration) {
-        // 1 hour (60 minutes) yields 4 segments
-        return Math.ceil(duration / 15);
+    addEvent(record) {
+        this.rawData.push(record);
+        this._refresh();
+        return record && typeof record === "object" ? this._getRecordId(record, this._getAdapter().fields) : null;
     }
 
     /**
-     * Creates modal element for event details
+     * Updates an event by merging a patch of raw fields into its record
+     * @param {string} id - Event id
+     * @param {Object} patch - Raw fields to change (e.g. `{ Salle: "G21 - VEL" }`)
+     * @returns {boolean} Whether the event was found
      */
-    _createModal() {
-        // Only create modal if enabled in options
-        if (!this.options.modalEnabled) {
-            return;
+    updateEvent(id, patch) {
+        const index = this._findRecordIndex(id);
+        if (index === -1) {
+            return false;
         }
 
-        // Create modal backdrop
-        const modalBackdrop = document.createElement('div');
-        modalBackdrop.className = 'timetable-modal-backdrop';
+        const previous = this.rawData[index];
+        const updated = { ...previous, ...patch };
+        if (this._generatedIds.has(previous)) {
+            this._generatedIds.set(updated, this._generatedIds.get(previous));
+        }
+        this.rawData[index] = updated;
+        this._refresh();
+        return true;
+    }
 
-        // Create modal container
-        const modal = document.createElement('div');
-        modal.className = 'timetable-modal';
+    /**
+     * Removes an event
+     * @param {string} id - Event id
+     * @returns {boolean} Whether the event was found
+     */
+    removeEvent(id) {
+        const index = this._findRecordIndex(id);
+        if (index === -1) {
+            return false;
+        }
 
-        // Modal header with close button
-        const modalHeader = document.createElement('div');
-        modalHeader.className = 'timetable-modal-header';
+        this.rawData.splice(index, 1);
+        this._refresh();
+        return true;
+    }
 
-        const modalTitle = document.createElement('h3');
-        modalTitle.className = 'timetable-modal-title';
+    /**
+     * Gets a prepared event by id
+     * @param {string} id - Event id
+     * @returns {Object|undefined} Prepared event
+     */
+    getEvent(id) {
+        return this.events.find((event) => event.id === String(id));
+    }
 
-        const closeButton = document.createElement('button');
-        closeButton.className = 'timetable-modal-close';
-        closeButton.innerHTML = '&times;';
-        closeButton.addEventListener('click', () => {
+    /**
+     * Changes options and re-renders in place
+     * @param {Object} options - Options to change
+     */
+    setOptions(options) {
+        this.options = { ...this.options, ...options };
+        if (options.initialDate) {
+            this.currentDate = this._toDate(options.initialDate) || this.currentDate;
+        }
+        if ("view" in options) {
+            this.view = options.view;
+        }
+
+        this._columnCache.clear();
+        this._loadDependencies();
+        if (this.options.modalEnabled && !this.modalElement && !this._headless) {
+            this._createModal();
+        } else if (!this.options.modalEnabled) {
             this.closeModal();
-        });
+        }
 
-        modalHeader.appendChild(modalTitle);
-        modalHeader.appendChild(closeButton);
+        this._refresh();
+        this._scheduleNowUpdates();
+    }
 
-        // Color indicator at top of modal
-        const colorIndicator = document.createElement('div');
-        colorIndicator.className = 'modal-color-indicator';
+    /**
+     * Restricts the displayed events. Each criterion (`group`, `category`, `staff`,
+     * `location`) accepts a string, an array of strings (any of them), a RegExp or a
+     * `(value, event) => boolean` function; `predicate(event)` adds a custom test.
+     * `text` does not hide events but highlights those containing it.
+     * A function can be passed instead of an object and is used as the predicate.
+     * @param {Object|Function} filter - Filter criteria
+     */
+    setFilter(filter) {
+        this.filter = typeof filter === "function" ? { predicate: filter } : { ...filter };
+        this.render();
+    }
 
-        // Modal body for content
-        const modalBody = document.createElement('div');
-        modalBody.className = 'timetable-modal-body';
+    /**
+     * Removes all filter criteria and the search text
+     */
+    clearFilter() {
+        this.setFilter({});
+    }
 
-        // Modal footer
-        const modalFooter = document.createElement('div');
-        modalFooter.className = 'timetable-modal-footer';
+    /**
+     * Gets all loaded events (every week) that pass the current filter
+     * @returns {Array} Prepared events
+     */
+    getFilteredEvents() {
+        return this.events.filter((event) => this.matchesFilter(event));
+    }
 
-        // Assemble modal
-        modal.appendChild(colorIndicator);
-        modal.appendChild(modalHeader);
-        modal.appendChild(modalBody);
-        modal.appendChild(modalFooter);
-        modalBackdrop.appendChild(modal);
+    /**
+     * Tests an event against the current filter (the `text` search is not a criterion)
+     * @param {Object} event - Prepared event
+     * @returns {boolean} Whether the event is displayed
+     */
+    matchesFilter(event) {
+        const filter = this.filter;
+        const criteria = ["group", "category", "staff", "location"];
 
-        // Add click event to backdrop for closing
-        modalBackdrop.addEventListener('click', (e) => {
-            if (e.target === modalBackdrop) {
-                this.closeModal();
+        const matchesValue = (field, expected) => {
+            if (expected === undefined || expected === null || expected === "") {
+                return true;
             }
-        });
-
-        // Add keyboard event to close on escape
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape' && modalBackdrop.classList.contains('active')) {
-                this.closeModal();
+            if (typeof expected === "function") {
+                return !!expected(event[field], event);
+            }
+            if (expected instanceof RegExp) {
+                return expected.test(event[field]);
+            }
+            if (Array.isArray(expected)) {
+                return expected.length === 0 || expected.some((value) => matchesValue(field, value));
             }
-        });
 
-        // Add to DOM
-        document.body.appendChild(modalBackdrop);
-        this.modalElement = {
-            backdrop: modalBackdrop,
-            modal: modal,
-            title: modalTitle,
-            body: modalBody,
-            footer: modalFooter,
-            colorIndicator: colorIndicator
+            const values = this._splitValues(event[field]);
+            if (field === "group") {
+                return event.group === this._getPlaceholders().group || values.some((group) => this._groupsRelated(String(expected), group));
+            }
+            const wanted = String(expected).toLowerCase();
+            return values.some((value) => value.toLowerCase() === wanted);
         };
+
+        if (!criteria.every((field) => matchesValue(field, filter[field]))) {
+            return false;
+        }
+        return typeof filter.predicate === "function" ? !!filter.predicate(event) : true;
     }
 
     /**
-     * Cleans category string for CSS class use by removing parentheses and special characters
-     * @param {string} category - The category string to clean
-     * @returns {string} Cleaned category string suitable for CSS class
+     * Tests an event against the `text` search of the current filter
+     * @param {Object} event - Prepared event
+     * @returns {boolean} Whether the search text is set and found in the event
      */
-    _cleanCategoryForCss(category) {
-        if (!category) return 'other';
-        // Remove parentheses and their content, then trim and convert to kebab-case
-        return category
-            .replace(/\s*\([^)]*\)/g, '') // Remove parentheses and their content
-            .toLowerCase()
-            .trim()
-            .replace(/\s+/g, '-');
+    matchesSearch(event) {
+        const text = (this.filter.text || "").trim().toLowerCase();
+        if (!text) {
+            return false;
+        }
+        return [event.name, event.category, event.location, event.staff, event.group, event.remarks]
+            .some((value) => String(value || "").toLowerCase().includes(text));
     }
 
     /**
-     * Opens modal with event details
-     * @param {Object} event - Event object with details
+     * Splits a comma-separated field ("CUKALLA Etleva, OSTER Alain") into its values
+     * @param {string} value - Field value
+     * @returns {Array} Trimmed, non-empty values
      */
-    openModal(event) {
-        if (!this.modalElement || !this.options.modalEnabled) {
-            return;
-        }
-
-        // Set category class for styling - use cleaned category
-        const categoryClass = this._cleanCategoryForCss(event.category);
-        this.modalElement.colorIndicator.className = 'modal-color-indicator';
-        this.modalElement.colorIndicator.classList.add(categoryClass);
+    _splitValues(value) {
+        return String(value || "").split(",").map((part) => part.trim()).filter(Boolean);
+    }
 
-        // Set title
-        this.modalElement.title.textContent = event.name;
+    /**
+     * Tells whether two groups are the same or one contains the other, e.g.
+     * "INF1" and "INF1-B" (levels separated by `groupSeparator`)
+     * @param {string} a - Group name
+     * @param {string} b - Group name
+     * @returns {boolean} Whether the groups are related
+     */
+    _groupsRelated(a, b) {
+        const separator = this.options.groupSeparator;
+        const x = a.trim().toLowerCase();
+        const y = b.trim().toLowerCase();
+        return x === y || y.startsWith(x + separator) || x.startsWith(y + separator);
+    }
 
-        // Build content
-        let content = '';
+    /**
+     * Creates or refreshes the filter bar rendered above the timetable wrapper.
+     * The bar is kept between renders so the search box keeps its focus.
+     */
+    _renderFilterBar() {
+        if (!this.options.showFilterBar) {
+            if (this.filterBarElement) {
+                this.filterBarElement.remove();
+                this.filterBarElement = null;
+            }
+            return;
+        }
 
-        // Time information
-        content += `
-            <div class="timetable-modal-info">
-                <h4>Time</h4>
-                <p>${event.startTime} - ${event.endTime}</p>
-            </div>
-        `;
+        if (!this.filterBarElement) {
+            const bar = document.createElement("div");
+            bar.className = "timetable-filter-bar";
+
+            [["group", this._t("allGroups")], ["category", this._t("allCategories")],
+                ["staff", this._t("allStaff")], ["location", this._t("allRooms")]]
+                .forEach(([field, allLabel]) => {
+                    const select = document.createElement("select");
+                    select.className = "timetable-filter";
+                    select.setAttribute("data-field", field);
+                    select.setAttribute("data-all-label", allLabel);
+                    select.addEventListener("change", () => {
+                        this.setFilter({ ...this.filter, [field]: select.value });
+                    });
+                    bar.appendChild(select);
+                });
 
-        // Category
-        if (event.category) {
-            content += `
-                <div class="timetable-modal-info">
-                    <h4>Category</h4>
-                    <p>${event.category}</p>
-                </div>
-            `;
-        }
+            const search = document.createElement("input");
+            search.type = "search";
+            search.className = "timetable-search";
+            search.placeholder = this._t("search");
+            search.addEventListener("input", () => {
+                this.setFilter({ ...this.filter, text: search.value });
+            });
+            bar.appendChild(search);
 
-        // Location
-        if (event.location && event.location !== "TBD") {
-            content += `
-                <div class="timetable-modal-info">
-                    <h4>Location</h4>
-                    <p>${event.location}</p>
-                </div>
-            `;
+            this.container.insertBefore(bar, this.container.firstChild);
+            this.filterBarElement = bar;
         }
 
-        // Staff
-        if (event.staff && event.staff !== "N/A") {
-            content += `
-                <div class="timetable-modal-info">
-                    <h4>Staff</h4>
-                    <p>${event.staff}</p>
-                </div>
-            `;
-        }
+        // Refresh the choices from the loaded events
+        this.filterBarElement.querySelectorAll("select").forEach((select) => {
+            const field = select.getAttribute("data-field");
+            const placeholders = this._getPlaceholders();
+            const values = new Set();
+            this.events.forEach((event) => {
+                this._splitValues(event[field])
+                    .filter((value) => value !== placeholders[field])
+                    .forEach((value) => values.add(value));
+            });
 
-        // Group
-        if (event.group && event.group !== "All") {
-            content += `
-                <div class="timetable-modal-info">
-                    <h4>Group</h4>
-                    <p>${event.group}</p>
-                </div>
-            `;
-        }
+            const current = typeof this.filter[field] === "string" ? this.filter[field] : "";
+            select.textContent = "";
+            [["", select.getAttribute("data-all-label")], ...[...values].sort().map((v) => [v, v])]
+                .forEach(([value, label]) => {
+                    const option = document.createElement("option");
+                    option.value = value;
+                    option.textContent = label;
+                    select.appendChild(option);
+                });
+            select.value = values.has(current) ? current : "";
+        });
 
-        // Remarks
-        if (event.remarks) {
-            content += `
-                <div class="timetable-modal-info">
-                    <h4>Notes</h4>
-                    <p>${event.remarks}</p>
-                </div>
-            `;
+        const search = this.filterBarElement.querySelector(".timetable-search");
+        if (search.value !== (this.filter.text || "")) {
+            search.value = this.filter.text || "";
         }
+    }
 
-        // Set content
-        this.modalElement.body.innerHTML = content;
+    /**
+     * Finds events that overlap in time while sharing a room, a staff member or a
+     * group. Groups conflict when one contains the other ("INF1" and "INF1-B").
+     * Comma-separated values are compared one by one; placeholders never conflict.
+     * @param {Object} options - `events` to check (defaults to every loaded event)
+     * @returns {{location: Array, staff: Array, group: Array}} Conflict records with
+     *   `type`, `resource`, `date`, `dateKey`, `start`, `end` (overlap, in minutes)
+     *   and the two `events`
+     */
+    findConflicts(options = {}) {
+        const events = [...(options.events || this.events)].sort((a, b) => a.start - b.start);
+        const conflicts = { location: [], staff: [], group: [] };
+        const placeholders = this._getPlaceholders();
+
+        // Returns the shared resource of two events, or null
+        const sharedResource = (type, a, b) => {
+            const valuesA = this._splitValues(a[type]).filter((v) => v !== placeholders[type]);
+            const valuesB = this._splitValues(b[type]).filter((v) => v !== placeholders[type]);
+            for (const x of valuesA) {
+                for (const y of valuesB) {
+                    if (type === "group" ? this._groupsRelated(x, y) : x.toLowerCase() === y.toLowerCase()) {
+                        // Report the containing group for parent/subgroup overlaps
+                        return x.length <= y.length ? x : y;
+                    }
+                }
+            }
+            return null;
+        };
 
-        // Add close button to footer
-        this.modalElement.footer.innerHTML = '<button class="btn-close">Close</button>';
-        this.modalElement.footer.querySelector('.btn-close').addEventListener('click', () => {
-            this.closeModal();
+        events.forEach((a, i) => {
+            for (let j = i + 1; j < events.length; j++) {
+                const b = events[j];
+                if (b.start >= a.end) break;
+                if (b.dateKey !== a.dateKey) continue;
+
+                Object.keys(conflicts).forEach((type) => {
+                    const resource = sharedResource(type, a, b);
+                    if (resource !== null) {
+                        conflicts[type].push({
+                            type,
+                            resource,
+                            date: a.date,
+                            dateKey: a.dateKey,
+                            start: Math.max(a.startMinutes, b.startMinutes),
+                            end: Math.min(a.endMinutes, b.endMinutes),
+                            events: [a, b],
+                        });
+                    }
+                });
+            }
         });
 
-        // Show modal
-        this.modalElement.backdrop.classList.add('active');
-
-        // Prevent body scrolling
-        document.body.style.overflow = 'hidden';
+        return conflicts;
     }
 
     /**
-     * Closes the modal
+     * Converts "HH:MM" or a number of minutes to minutes from midnight
+     * @param {string|number} time - Time to convert
+     * @returns {number} Minutes from midnight (NaN when invalid)
      */
-    closeModal() {
-        if (!this.modalElement) {
-            return;
+    _toMinutes(time) {
+        if (typeof time === "number") {
+            return time;
         }
-
-        this.modalElement.backdrop.classList.remove('active');
-
-        // Restore body scrolling
-        document.body.style.overflow = '';
+        const match = String(time).match(/^(\d{1,2}):(\d{2})$/);
+        return match ? Number(match[1]) * 60 + Number(match[2]) : NaN;
     }
 
     /**
-     * Renders the timetable
+     * Finds the periods in which none of the given groups and staff members has an
+     * event. Groups are hierarchical: "INF1-B" is busy during "INF1" sessions.
+     * Without groups or staff, any event makes a period busy.
+     * @param {Object} options - `groups` and `staff` (arrays of names), `minDuration`
+     *   in minutes (default 30), `within` ({ start, end } dates, default the visible
+     *   range) and `dayStart`/`dayEnd` ("HH:MM", default the visible hours)
+     * @returns {Array} Free slots with `date`, `dateKey`, `day`, `start`, `end` (Dates),
+     *   `startMinutes`, `endMinutes`, `startTime` and `endTime`
      */
-    render() {
-        if (!this.container) {
-            console.error("Timetable container not found");
-            return;
-        }
+    findFreeSlots(options = {}) {
+        const groups = options.groups || [];
+        const staff = (options.staff || []).map((name) => name.toLowerCase());
+        const minDuration = options.minDuration || 30;
+        const interval = this.options.timeInterval;
+        const within = options.within || this.getRange();
+        const start = this._toDate(within.start);
+        const end = this._toDate(within.end);
+        const hours = this.getVisibleRange();
+        const dayStart = options.dayStart !== undefined ? this._toMinutes(options.dayStart) : hours.start;
+        const dayEnd = options.dayEnd !== undefined ? this._toMinutes(options.dayEnd) : hours.end;
+        const placeholders = this._getPlaceholders();
+
+        const isBusy = (event) => {
+            if (groups.length === 0 && staff.length === 0) {
+                return true;
+            }
+            const eventGroups = this._splitValues(event.group);
+            const eventStaff = this._splitValues(event.staff).map((name) => name.toLowerCase());
+            return event.group === placeholders.group && groups.length > 0 ||
+                groups.some((group) => eventGroups.some((g) => this._groupsRelated(group, g))) ||
+                staff.some((name) => eventStaff.includes(name));
+        };
 
-        this.container.innerHTML = "";
-        const wrapper = document.createElement("div");
-        wrapper.classList.add("timetable-wrapper");
+        const slots = [];
+        for (let date = new Date(start); date <= end; date.setDate(date.getDate() + 1)) {
+            const day = this._getDayOfWeek(date);
+            if (!this.options.weekdays.includes(day)) continue;
+            const dateKey = this._dateKey(date);
+
+            const busy = this.events
+                .filter((event) => event.dateKey === dateKey && isBusy(event))
+                .sort((a, b) => a.startMinutes - b.startMinutes);
+
+            // Walk through the busy periods and collect the gaps, snapped to the grid
+            let cursor = dayStart;
+            [...busy, { startMinutes: dayEnd, endMinutes: dayEnd }].forEach((event) => {
+                const gapStart = Math.ceil(cursor / interval) * interval;
+                const gapEnd = Math.floor(Math.min(event.startMinutes, dayEnd) / interval) * interval;
+                if (gapEnd - gapStart >= minDuration) {
+                    const slotDate = new Date(date);
+                    slots.push({
+                        date: slotDate,
+                        dateKey,
+                        day,
+                        startMinutes: gapStart,
+                        endMinutes: gapEnd,
+                        startTime: this.formatTimeLabel(gapStart),
+                        endTime: this.formatTimeLabel(gapEnd),
+                        // Built from the wall-clock minutes, so DST days keep their hours
+                        start: new Date(slotDate.getFullYear(), slotDate.getMonth(), slotDate.getDate(), 0, gapStart),
+                        end: new Date(slotDate.getFullYear(), slotDate.getMonth(), slotDate.getDate(), 0, gapEnd),
+                    });
+                }
+                cursor = Math.max(cursor, event.endMinutes);
+            });
+        }
 
-        let table = document.createElement("table");
-        table.classList.add("timetable");
+        return slots;
+    }
 
-        // Generate header
-        let thead = document.createElement("thead");
-        let headRow = document.createElement("tr");
-        ["Time", ...Object.keys(this.data)].forEach((day) => {
-            let th = document.createElement("th");
-            th.textContent = day;
-            headRow.appendChild(th);
+    /**
+     * Finds the rooms with no event overlapping a period
+     * @param {Date|string} date - Date, dd/mm/yyyy string or ISO string
+     * @param {string|number} start - Start as "HH:MM" or minutes from midnight
+     * @param {string|number} end - End as "HH:MM" or minutes from midnight
+     * @param {Object} options - `rooms` to consider (defaults to every room in the data)
+     * @returns {Array} Free room names, sorted
+     */
+    findFreeRooms(date, start, end, options = {}) {
+        const dateKey = this._dateKey(this._toDate(date) || new Date(NaN));
+        const startMinutes = this._toMinutes(start);
+        const endMinutes = this._toMinutes(end);
+
+        const rooms = new Set(options.rooms || this.events
+            .flatMap((event) => this._splitValues(event.location))
+            .filter((room) => room !== this._getPlaceholders().location));
+
+        this.events.forEach((event) => {
+            if (event.dateKey === dateKey && event.startMinutes < endMinutes && event.endMinutes > startMinutes) {
+                this._splitValues(event.location).forEach((room) => rooms.delete(room));
+            }
+        });
+
+        return [...rooms].sort((a, b) => a.localeCompare(b));
+    }
+
+    /**
+     * Highlights periods (e.g. from `findFreeSlots`) on the grid. Clicking a
+     * highlighted period calls `onSelect(slot)` and emits "freeSlotSelect".
+     * @param {Array} slots - Objects with `dateKey`, `startMinutes` and `endMinutes`
+     * @param {Object} options - `onSelect` callback
+     */
+    highlightSlots(slots, options = {}) {
+        this.highlightedSlots = slots || [];
+        this._onHighlightSelect = options.onSelect || null;
+        this.render();
+    }
+
+    /**
+     * Removes the highlighted periods
+     */
+    clearHighlights() {
+        this.highlightSlots([]);
+    }
+
+    /**
+     * Finds the highlighted period containing a time
+     * @param {string} dateKey - Date key
+     * @param {number} startMinutes - Start of the range to look for
+     * @param {number} endMinutes - End of the range to look for
+     * @returns {Array} Highlighted slots overlapping the range
+     */
+    _getHighlightsIn(dateKey, startMinutes, endMinutes) {
+        return this.highlightedSlots.filter((slot) =>
+            slot.dateKey === dateKey && slot.startMinutes < endMinutes && slot.endMinutes > startMinutes);
+    }
+
+    /**
+     * Hands a highlighted period to the `highlightSlots` callback and the hook
+     * @param {Object} slot - Selected slot
+     * @param {Event} domEvent - Click event
+     */
+    _selectHighlight(slot, domEvent) {
+        if (this._onHighlightSelect) {
+            this._onHighlightSelect(slot);
+        }
+        this._emit("freeSlotSelect", { slot, domEvent });
+    }
+
+    /**
+     * Indexes conflict descriptions by event id, for the `showConflicts` badges
+     * @returns {Map} Event id to list of descriptions
+     */
+    _getConflictIndex() {
+        const index = new Map();
+        const labels = { location: this._t("room"), staff: this._t("staff"), group: this._t("group") };
+        Object.values(this.findConflicts()).flat().forEach((conflict) => {
+            conflict.events.forEach((event, i) => {
+                const other = conflict.events[1 - i];
+                if (!index.has(event.id)) {
+                    index.set(event.id, []);
+                }
+                index.get(event.id).push(
+                    `${labels[conflict.type]} ${conflict.resource}: ${other.name} (${other.startTime} - ${other.endTime})`);
+            });
+        });
+        return index;
+    }
+
+    /**
+     * Parses iCalendar text into prepared events, like those of `prepareData`. Their `raw`
+     * record has `id`, `start`, `end`, `name`, `location`, `staff`, `group`, `category`
+     * and `remarks`, so the records also load with `adapter: "iso"`; `importICS` adds a
+     * feed to an instance whatever its adapter.
+     * Supports TZID/UTC/floating times, DURATION, RRULE (DAILY, WEEKLY with BYDAY and WKST,
+     * MONTHLY, YEARLY with INTERVAL, COUNT and UNTIL), EXDATE and RECURRENCE-ID.
+     * @param {string} text - iCalendar (.ics) content
+     * @param {Object} options - `maxOccurrences` (default 500) caps each recurring event;
+     *   other options (`locale`, ...) are used to prepare the events
+     * @returns {Array} Prepared events sorted by start
+     */
+    static fromICS(text, options = {}) {
+        const { maxOccurrences = 500, ...timetableOptions } = options;
+        const lines = String(text || "").replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+
+        const vevents = [];
+        let current = null;
+        let depth = 0; // Nested components (VALARM) inside a VEVENT are ignored
+        lines.forEach((line) => {
+            const property = Timetable._parseICSLine(line);
+            if (!property) return;
+
+            if (property.name === "BEGIN") {
+                if (property.value === "VEVENT" && !current) {
+                    current = {};
+                } else if (current) {
+                    depth++;
+                }
+            } else if (property.name === "END") {
+                if (current && depth > 0) {
+                    depth--;
+                } else if (property.value === "VEVENT" && current) {
+                    vevents.push(current);
+                    current = null;
+                }
+            } else if (current && depth === 0) {
+                (current[property.name] = current[property.name] || []).push(property);
+            }
+        });
+
+        // Occurrences moved or edited through RECURRENCE-ID replace the generated ones
+        const overrides = new Set();
+        vevents.forEach((vevent) => {
+            if (vevent["RECURRENCE-ID"] && vevent.UID) {
+                const recurrenceId = Timetable._parseICSDate(vevent["RECURRENCE-ID"][0]);
+                if (recurrenceId) {
+                    overrides.add(`${vevent.UID[0].value}|${recurrenceId.getTime()}`);
+                }
+            }
+        });
+
+        const events = [];
+        vevents.forEach((vevent, index) => {
+            const get = (name) => (vevent[name] ? vevent[name][0] : null);
+            const text = (name) => (get(name) ? Timetable._unescapeICSText(get(name).value) : "");
+
+            const start = Timetable._parseICSDate(get("DTSTART"));
+            if (!start) return;
+            let end = Timetable._parseICSDate(get("DTEND"));
+            if (!end) {
+                const duration = get("DURATION") ? Timetable._parseICSDuration(get("DURATION").value) : 0;
+                end = new Date(start.getTime() + duration);
+            }
+
+            const uid = text("UID") || `ics-${index + 1}`;
+            const organizer = get("ORGANIZER");
+            const base = {
+                name: text("SUMMARY"),
+                location: text("LOCATION"),
+                staff: text("X-TIMETABLE-STAFF") || (organizer && organizer.params.CN
+                    ? organizer.params.CN.replace(/^"|"$/g, "")
+                    : ""),
+                group: text("X-TIMETABLE-GROUP"),
+                // First of the comma-separated categories, skipping escaped commas
+                category: get("CATEGORIES")
+                    ? Timetable._unescapeICSText(get("CATEGORIES").value.match(/^(?:[^\\,]|\\.)*/)[0])
+                    : "",
+                remarks: text("DESCRIPTION"),
+            };
+
+            if (!get("RRULE") || get("RECURRENCE-ID")) {
+                events.push({ id: uid + (get("RECURRENCE-ID") ? `/${start.getTime()}` : ""), start, end, ...base });
+                return;
+            }
+
+            const excluded = new Set();
+            (vevent.EXDATE || []).forEach((exdate) => {
+                exdate.value.split(",").forEach((value) => {
+                    const date = Timetable._parseICSDate({ value, params: exdate.params });
+                    if (date) excluded.add(date.getTime());
+                });
+            });
+
+            const duration = end - start;
+            const wallClock = Timetable._parseICSDateParts(get("DTSTART"));
+            Timetable._expandRRule(get("RRULE").value, wallClock, maxOccurrences).forEach((occurrence) => {
+                const time = occurrence.getTime();
+                if (excluded.has(time) || overrides.has(`${uid}|${time}`)) return;
+                events.push({ id: `${uid}/${time}`, start: occurrence, end: new Date(time + duration), ...base });
+            });
+        });
+
+        return new Timetable(null, events, { ...timetableOptions, adapter: "iso" }).events;
+    }
+
+    /**
+     * Splits an unfolded iCalendar line into name, parameters and value
+     * @param {string} line - Content line
+     * @returns {Object|null} `{ name, params, value }`, or null for blank lines
+     */
+    static _parseICSLine(line) {
+        if (!line.trim()) return null;
+
+        // The value starts at the first colon outside a quoted parameter
+        let inQuotes = false;
+        let colon = -1;
+        for (let i = 0; i < line.length; i++) {
+            if (line[i] === '"') inQuotes = !inQuotes;
+            if (line[i] === ":" && !inQuotes) {
+                colon = i;
+                break;
+            }
+        }
+        if (colon === -1) return null;
+
+        const [name, ...paramParts] = line.slice(0, colon).match(/(?:[^;"]|"[^"]*")+/g) || [""];
+        const params = {};
+        paramParts.forEach((part) => {
+            const equals = part.indexOf("=");
+            if (equals > 0) {
+                params[part.slice(0, equals).toUpperCase()] = part.slice(equals + 1);
+            }
+        });
+
+        return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+    }
+
+    /**
+     * Unescapes an iCalendar TEXT value
+     */
+    static _unescapeICSText(value) {
+        return String(value).replace(/\\([\\;,nN])/g, (match, char) => (char === "n" || char === "N" ? "\n" : char));
+    }
+
+    /**
+     * Escapes a string as an iCalendar TEXT value
+     */
+    static _escapeICSText(value) {
+        return String(value).replace(/([\\;,])/g, "\\$1").replace(/\r?\n/g, "\\n");
+    }
+
+    /**
+     * Parses a DATE or DATE-TIME property. UTC ("Z") and TZID times are converted to
+     * the local time zone; floating times and dates are read as local.
+     * @param {Object} property - Parsed property with `value` and `params`
+     * @returns {Date|null} Date, or null when invalid
+     */
+    static _parseICSDate(property) {
+        const wallClock = Timetable._parseICSDateParts(property);
+        return wallClock && wallClock.toDate(wallClock.parts);
+    }
+
+    /**
+     * Reads a DATE or DATE-TIME property as wall-clock parts in its own time zone,
+     * with the function turning such parts into a Date (UTC, TZID or local time)
+     * @param {Object} property - Parsed property with `value` and `params`
+     * @returns {Object|null} `{ parts, toDate }` where parts are
+     *   [year, monthIndex, day, hour, minute, second], or null when invalid
+     */
+    static _parseICSDateParts(property) {
+        if (!property) return null;
+        const match = String(property.value).trim()
+            .match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+        if (!match) return null;
+
+        const [, year, month, day, hour = 0, minute = 0, second = 0, utc] = match;
+        const parts = [Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second)];
+
+        if (utc) {
+            return { parts, toDate: (values) => new Date(Date.UTC(...values)) };
+        }
+        const timeZone = property.params && property.params.TZID && property.params.TZID.replace(/^"|"$/g, "");
+        if (timeZone && match[4] !== undefined && Timetable._zonedTimeToDate(parts, timeZone)) {
+            return { parts, toDate: (values) => Timetable._zonedTimeToDate(values, timeZone) };
+        }
+        return { parts, toDate: (values) => new Date(...values) };
+    }
+
+    /**
+     * Converts a wall-clock time in an IANA time zone to a Date
+     * @param {Array} parts - [year, monthIndex, day, hour, minute, second]
+     * @param {string} timeZone - IANA time zone name (e.g. "Europe/Paris")
+     * @returns {Date|null} Date, or null when the time zone is unknown
+     */
+    static _zonedTimeToDate(parts, timeZone) {
+        let format;
+        try {
+            format = new Intl.DateTimeFormat("en-US", {
+                timeZone,
+                hourCycle: "h23",
+                year: "numeric", month: "numeric", day: "numeric",
+                hour: "numeric", minute: "numeric", second: "numeric",
+            });
+        } catch (error) {
+            return null;
+        }
+
+        // Offset of the zone at a given instant, in milliseconds
+        const offsetAt = (time) => {
+            const values = {};
+            format.formatToParts(new Date(time)).forEach(({ type, value }) => {
+                values[type] = Number(value);
+            });
+            const asUTC = Date.UTC(values.year, values.month - 1, values.day, values.hour % 24, values.minute, values.second);
+            return asUTC - Math.floor(time / 1000) * 1000;
+        };
+
+        const wallClock = Date.UTC(...parts);
+        let time = wallClock - offsetAt(wallClock);
+        time = wallClock - offsetAt(time); // Second pass settles DST transitions
+        return new Date(time);
+    }
+
+    /**
+     * Parses an iCalendar DURATION (e.g. "PT1H30M", "P1D")
+     * @returns {number} Duration in milliseconds
+     */
+    static _parseICSDuration(value) {
+        const match = String(value).match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+        if (!match) return 0;
+        const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+        const total = (((Number(weeks) * 7 + Number(days)) * 24 + Number(hours)) * 60 + Number(minutes)) * 60 + Number(seconds);
+        return (sign === "-" ? -1 : 1) * total * 1000;
+    }
+
+    /**
+     * Expands an RRULE into occurrence start dates. Occurrences are computed as
+     * wall-clock times in the event's own time zone, so they keep their hour across
+     * DST changes, then converted with `toDate`.
+     * @param {string} rule - RRULE value (e.g. "FREQ=WEEKLY;BYDAY=MO,WE;COUNT=10")
+     * @param {Object} start - First occurrence (DTSTART) from `_parseICSDateParts`
+     * @param {number} maxOccurrences - Upper bound on generated occurrences
+     * @returns {Array} Occurrence start dates
+     */
+    static _expandRRule(rule, start, maxOccurrences) {
+        const parts = {};
+        rule.split(";").forEach((part) => {
+            const [key, value] = part.split("=");
+            parts[key.toUpperCase()] = value;
+        });
+
+        const interval = Math.max(parseInt(parts.INTERVAL, 10) || 1, 1);
+        const count = parts.COUNT ? parseInt(parts.COUNT, 10) : Infinity;
+        const until = parts.UNTIL ? Timetable._parseICSDate({ value: parts.UNTIL, params: {} }) : null;
+        const dayCodes = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+        const byDay = parts.BYDAY
+            ? parts.BYDAY.split(",").map((code) => dayCodes.indexOf(code.replace(/^[+-]?\d+/, ""))).filter((d) => d >= 0)
+            : null;
+        // Weeks start on WKST, Monday by default
+        const weekStart = dayCodes.includes(parts.WKST) ? dayCodes.indexOf(parts.WKST) : 1;
+
+        // Wall-clock times are carried in UTC Dates, free of the host's DST changes
+        const first = new Date(Date.UTC(...start.parts));
+        const toDate = (wallClock) => start.toDate([
+            wallClock.getUTCFullYear(), wallClock.getUTCMonth(), wallClock.getUTCDate(),
+            wallClock.getUTCHours(), wallClock.getUTCMinutes(), wallClock.getUTCSeconds(),
+        ]);
+        const occurrences = [];
+        const limit = Math.min(count, maxOccurrences);
+        const add = (wallClock) => {
+            if (wallClock < first || occurrences.length >= limit) {
+                return;
+            }
+            const date = toDate(wallClock);
+            if (!until || date <= until) {
+                occurrences.push(date);
+            }
+        };
+        const shift = (unit, amount) => {
+            const date = new Date(first);
+            if (unit === "day") date.setUTCDate(date.getUTCDate() + amount);
+            if (unit === "month") date.setUTCMonth(date.getUTCMonth() + amount);
+            if (unit === "year") date.setUTCFullYear(date.getUTCFullYear() + amount);
+            return date;
+        };
+
+        // Each step generates one period; stop once past UNTIL or the limit
+        for (let step = 0; occurrences.length < limit && step < maxOccurrences * 7; step++) {
+            let periodStart;
+            if (parts.FREQ === "DAILY") {
+                periodStart = shift("day", step * interval);
+                add(periodStart);
+            } else if (parts.FREQ === "WEEKLY") {
+                const offset = (weekday) => (weekday - weekStart + 7) % 7;
+                periodStart = shift("day", step * interval * 7 - offset(first.getUTCDay()));
+                (byDay || [first.getUTCDay()]).map(offset).sort((a, b) => a - b).forEach((days) => {
+                    const date = new Date(periodStart);
+                    date.setUTCDate(date.getUTCDate() + days);
+                    add(date);
+                });
+            } else if (parts.FREQ === "MONTHLY" || parts.FREQ === "YEARLY") {
+                periodStart = shift(parts.FREQ === "MONTHLY" ? "month" : "year", step * interval);
+                // Skip months without that day (e.g. the 31st)
+                if (periodStart.getUTCDate() === first.getUTCDate()) add(periodStart);
+            } else {
+                add(first);
+                break;
+            }
+            if (until && toDate(periodStart) > until) break;
+        }
+
+        return occurrences;
+    }
+
+    /**
+     * Adds the events of an iCalendar feed, whatever the adapter: each one is written
+     * as a raw record through the adapter's field map and `serialize`.
+     * @param {string} text - iCalendar (.ics) content
+     * @param {Object} options - `maxOccurrences`, as for `fromICS`
+     * @returns {Array} Ids of the added events
+     * @throws {Error} When the adapter has no `serialize`
+     */
+    importICS(text, options = {}) {
+        const adapter = this._getAdapter();
+        if (!adapter.serialize) {
+            throw new Error("Cannot import events without a serialize function");
+        }
+
+        const fields = adapter.fields;
+        const records = Timetable.fromICS(text, { maxOccurrences: options.maxOccurrences }).map(({ raw, start, end }) => {
+            const record = {};
+            ["id", "name", "location", "staff", "group", "category", "remarks"].forEach((key) => {
+                if (fields[key] && raw[key]) {
+                    record[fields[key]] = raw[key];
+                }
+            });
+            return { ...record, ...adapter.serialize({ start, end }, fields, record) };
+        });
+        this.rawData.push(...records);
+        this._refresh();
+        return records.map((record) => this._getRecordId(record, fields));
+    }
+
+    /**
+     * Serializes events to iCalendar text. Defaults to every loaded event that
+     * passes the current filter.
+     * @param {Object} options - `events` to export instead
+     * @returns {string} iCalendar (.ics) content
+     */
+    exportICS(options = {}) {
+        const events = options.events || this.getFilteredEvents();
+        const formatUTC = (date) => date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+        const stamp = formatUTC(new Date());
+
+        // Fold lines longer than 75 octets, as required by RFC 5545, without
+        // splitting a UTF-8 sequence (continuation lines start with a space)
+        const encoder = new TextEncoder();
+        const fold = (line) => {
+            const chunks = [""];
+            let bytes = 0;
+            for (const char of line) {
+                const size = encoder.encode(char).length;
+                if (bytes + size > (chunks.length === 1 ? 75 : 74)) {
+                    chunks.push("");
+                    bytes = 0;
+                }
+                chunks[chunks.length - 1] += char;
+                bytes += size;
+            }
+            return chunks.join("\r\n ");
+        };
+
+        const lines = [
+            "BEGIN:VCALENDAR",
+            "VERSION:2.0",
+            "PRODID:-//TimeTableLib//Timetable//EN",
+            "CALSCALE:GREGORIAN",
+        ];
+        events.forEach((event) => {
+            const fields = this._getExportFields(event);
+            lines.push("BEGIN:VEVENT");
+            lines.push(`UID:${Timetable._escapeICSText(event.id)}`);
+            lines.push(`DTSTAMP:${stamp}`);
+            lines.push(`DTSTART:${formatUTC(event.start)}`);
+            lines.push(`DTEND:${formatUTC(event.end)}`);
+            lines.push(`SUMMARY:${Timetable._escapeICSText(fields.name)}`);
+            [
+                ["LOCATION", fields.location],
+                ["DESCRIPTION", fields.remarks],
+                ["CATEGORIES", fields.category],
+                ["X-TIMETABLE-STAFF", fields.staff],
+                ["X-TIMETABLE-GROUP", fields.group],
+            ].forEach(([name, value]) => {
+                if (value) {
+                    lines.push(`${name}:${Timetable._escapeICSText(value)}`);
+                }
+            });
+            lines.push("END:VEVENT");
+        });
+        lines.push("END:VCALENDAR");
+
+        return lines.map(fold).join("\r\n") + "\r\n";
+    }
+
+    /**
+     * Serializes a single event to iCalendar text
+     * @param {string} id - Event id
+     * @returns {string|null} iCalendar content, or null when the event is not found
+     */
+    exportEventICS(id) {
+        const event = this.getEvent(id);
+        return event ? this.exportICS({ events: [event] }) : null;
+    }
+
+    /**
+     * Parses CSV text (e.g. a spreadsheet export) into row objects keyed by header,
+     * ready for `prepareData`. Handles quoted fields, doubled quotes, line breaks inside
+     * quotes, a UTF-8 BOM and `;`, `,` or tab delimiters (detected from the header).
+     * Headers matching a field of the French adapter regardless of case or apostrophe
+     * style ("Catégorie d'événement") are renamed to that field.
+     * @param {string} text - CSV content
+     * @param {Object} options - `delimiter` and `headerMap` (object or `(header) => key`)
+     * @returns {Array} Row objects; empty cells are null
+     */
+    static parseCSV(text, options = {}) {
+        const input = String(text || "").replace(/^\uFEFF/, "");
+        const delimiter = options.delimiter || Timetable._detectCSVDelimiter(input);
+
+        // Split into rows of cells, honouring quotes
+        const rows = [];
+        let row = [];
+        let cell = "";
+        let inQuotes = false;
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+            if (inQuotes) {
+                if (char === '"' && input[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                row.push(cell);
+                cell = "";
+            } else if (char === "\n" || char === "\r") {
+                if (char === "\r" && input[i + 1] === "\n") i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = "";
+            } else {
+                cell += char;
+            }
+        }
+        if (cell !== "" || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+
+        const nonEmpty = rows.filter((r) => r.some((value) => value.trim() !== ""));
+        if (nonEmpty.length === 0) {
+            return [];
+        }
+
+        // Map headers to the keys the adapter reads
+        const normalize = (header) => header.trim().toLowerCase().replace(/['‘’ʼ`´]/g, "’");
+        const known = {};
+        Object.values(Timetable.adapters.french.fields).forEach((field) => {
+            known[normalize(field)] = field;
+        });
+        const headerMap = options.headerMap || {};
+        const headers = nonEmpty[0].map((header) => {
+            const trimmed = header.trim();
+            if (typeof headerMap === "function") {
+                return headerMap(trimmed) || trimmed;
+            }
+            return headerMap[trimmed] || known[normalize(trimmed)] || trimmed;
+        });
+
+        return nonEmpty.slice(1).map((values) => {
+            const record = {};
+            headers.forEach((header, index) => {
+                const value = values[index] !== undefined ? values[index].trim() : "";
+                record[header] = value === "" ? null : value;
+            });
+            return record;
+        });
+    }
+
+    /**
+     * Picks the delimiter (`;`, `,` or tab) occurring most often in the first line
+     */
+    static _detectCSVDelimiter(text) {
+        const firstLine = text.split(/\r?\n/)[0].replace(/"[^"]*"/g, "");
+        const counts = [";", ",", "\t"].map((delimiter) => [delimiter, firstLine.split(delimiter).length]);
+        return counts.sort((a, b) => b[1] - a[1])[0][0];
+    }
+
+    /**
+     * Gets the displayable values of an event, with placeholders ("TBD", "N/A", ... in English)
+     * turned back into empty strings
+     * @param {Object} event - Prepared event
+     * @returns {Object} `name`, `location`, `staff`, `group`, `category` and `remarks`
+     */
+    _getExportFields(event) {
+        const placeholders = this._getPlaceholders();
+        return {
+            name: event.name,
+            location: event.location !== placeholders.location ? event.location : "",
+            staff: event.staff !== placeholders.staff ? event.staff : "",
+            group: event.group !== placeholders.group ? event.group : "",
+            category: event.category !== placeholders.category ? event.category : "",
+            remarks: event.remarks || "",
+        };
+    }
+
+    /**
+     * Serializes events to CSV in the French export layout (Date, Heure, Matière, ...),
+     * which `parseCSV` and the default adapter read back. Defaults to every loaded
+     * event that passes the current filter.
+     * @param {Object} options - `events` to export instead, `delimiter` (default ";")
+     * @returns {string} CSV content
+     */
+    exportCSV(options = {}) {
+        const events = options.events || this.getFilteredEvents();
+        const delimiter = options.delimiter || ";";
+        const fields = Timetable.adapters.french.fields;
+        const columns = ["date", "time", "name", "staff", "group", "location", "category", "remarks"];
+
+        const quote = (value) => {
+            const text = String(value === null || value === undefined ? "" : value);
+            return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const lines = [columns.map((column) => quote(fields[column])).join(delimiter)];
+        events.forEach((event) => {
+            // Written in the French adapter's formats, whatever the display locale
+            const values = {
+                ...this._getExportFields(event),
+                ...Timetable.adapters.french.serialize(event, { date: "date", time: "time" }),
+            };
+            lines.push(columns.map((column) => quote(values[column])).join(delimiter));
+        });
+
+        return lines.join("\r\n") + "\r\n";
+    }
+
+    /**
+     * Serializes events to JSON readable by the `iso` adapter. Defaults to every
+     * loaded event that passes the current filter.
+     * @param {Object} options - `events` to export instead
+     * @returns {string} JSON array
+     */
+    exportJSON(options = {}) {
+        const events = options.events || this.getFilteredEvents();
+        return JSON.stringify(events.map((event) => ({
+            id: event.id,
+            start: event.start.toISOString(),
+            end: event.end.toISOString(),
+            ...this._getExportFields(event),
+        })), null, 2);
+    }
+
+    /**
+     * Offers content as a file download
+     * @param {string} content - File content
+     * @param {string} filename - Suggested file name
+     * @param {string} type - MIME type
+     */
+    _download(content, filename, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * Resolves the adapter selected by the `adapter`, `fieldMap` and `parse` options
+     * @returns {{fields: Object, parse: Function}} Adapter with the merged field map
+     */
+    _getAdapter() {
+        let adapter = this.options.adapter;
+        if (typeof adapter === "string") {
+            adapter = Timetable.adapters[adapter];
+            if (!adapter) {
+                throw new Error(`Unknown adapter "${this.options.adapter}"`);
+            }
+        }
+
+        // A custom parser only pairs with a custom writer
+        return {
+            fields: { ...adapter.fields, ...this.options.fieldMap },
+            parse: this.options.parse || adapter.parse,
+            serialize: this.options.parse ? this.options.serialize : this.options.serialize || adapter.serialize,
+        };
+    }
+
+    /**
+     * Turns one raw record into a prepared event
+     * @param {Object} record - Raw input record
+     * @param {Object} adapter - Adapter returned by `_getAdapter`
+     * @returns {Object} Prepared event
+     * @throws {Error} When the record has no valid start and end
+     */
+    _parseRecord(record, adapter) {
+        if (!record || typeof record !== "object") {
+            throw new Error("Record is not an object");
+        }
+
+        const fields = adapter.fields;
+        const parsed = adapter.parse(record, fields) || {};
+        const { start, end } = parsed;
+
+        const isValidDate = (value) =>
+            Object.prototype.toString.call(value) === "[object Date]" && !isNaN(value.getTime());
+
+        if (!isValidDate(start)) {
+            throw new Error("Invalid or missing start");
+        }
+        if (!isValidDate(end)) {
+            throw new Error("Invalid or missing end");
+        }
+        if (end <= start) {
+            throw new Error("End must be after start");
+        }
+        if (end.toDateString() !== start.toDateString() &&
+            !(end.getHours() === 0 && end.getMinutes() === 0 && end - start <= 24 * 60 * 60 * 1000)) {
+            throw new Error("Events spanning several days are not supported");
+        }
+
+        // Read descriptive fields through the field map unless the parser provided them
+        const read = (key) => (key in parsed ? parsed[key] : record[fields[key]]);
+
+        const startMinutes = start.getHours() * 60 + start.getMinutes();
+        const endMinutes = end.getDate() === start.getDate()
+            ? end.getHours() * 60 + end.getMinutes()
+            : 24 * 60;
+
+        const date = new Date(start.getFullYear(), start.getMonth(), start.getDate());
+        const placeholders = this._getPlaceholders();
+
+        return {
+            id: this._getRecordId(record, fields),
+            raw: record,
+            start,
+            end,
+            date,
+            dateKey: this._dateKey(date),
+            day: this._getDayOfWeek(date),
+            startTime: this.formatTimeLabel(startMinutes),
+            endTime: this.formatTimeLabel(endMinutes),
+            startMinutes,
+            endMinutes,
+            duration: endMinutes - startMinutes,
+            name: read("name") || read("category") || placeholders.name,
+            location: read("location") || placeholders.location,
+            staff: read("staff") || placeholders.staff,
+            group: read("group") || placeholders.group,
+            category: read("category") || placeholders.category,
+            remarks: read("remarks") || "",
+        };
+    }
+
+    /**
+     * Maps a Date to its day of week
+     * @param {Date} date - Date to map
+     * @returns {string} Day name as used in the `weekdays` option
+     */
+    _getDayOfWeek(date) {
+        const days = [
+            "Sunday",
+            "Monday",
+            "Tuesday",
+            "Wednesday",
+            "Thursday",
+            "Friday",
+            "Saturday",
+        ];
+        return days[date.getDay()];
+    }
+
+    /**
+     * Gets the index (0 = Sunday) of the configured first day of the week
+     * @returns {number} Day index
+     */
+    _getWeekStartIndex() {
+        const weekStartsOn = this.options.weekStartsOn;
+        if (typeof weekStartsOn === "number") {
+            return ((weekStartsOn % 7) + 7) % 7;
+        }
+        const days = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+        const index = days.indexOf(weekStartsOn);
+        return index === -1 ? 1 : index;
+    }
+
+    /**
+     * Gets the header label of a day, using `dayNames` when provided
+     * @param {string} day - Internal day key (e.g. "Monday")
+     * @returns {string} Display label
+     */
+    getDayLabel(day) {
+        if (this.options.dayNames && this.options.dayNames[day]) {
+            return this.options.dayNames[day];
+        }
+        const days = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+        const index = days.indexOf(day);
+        // 7 January 2024 was a Sunday
+        return index === -1 ? day : this._capitalize(this._format(new Date(2024, 0, 7 + index), { weekday: "long" }));
+    }
+
+    /**
+     * Translates a message of the catalog: the `messages` option, then
+     * `Timetable.messages` for the locale, its language, and English
+     * @param {string} key - Message key
+     * @param {Object} params - Values replacing `{name}` placeholders
+     * @returns {string} Translated message
+     */
+    _t(key, params = {}) {
+        const locale = String(this.options.locale || "en");
+        const catalogs = [
+            this.options.messages || {},
+            Timetable.messages[locale] || {},
+            Timetable.messages[locale.split("-")[0].toLowerCase()] || {},
+            Timetable.messages.en,
+        ];
+        const catalog = catalogs.find((messages) => key in messages);
+        const message = catalog ? catalog[key] : key;
+        return String(message).replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+    }
+
+    /**
+     * Gets the localized placeholders given to events with missing fields
+     * @returns {{name: string, location: string, staff: string, group: string, category: string}}
+     */
+    _getPlaceholders() {
+        return {
+            name: this._t("unspecified"),
+            location: this._t("noLocation"),
+            staff: this._t("noStaff"),
+            group: this._t("allGroupsPlaceholder"),
+            category: this._t("otherCategory"),
+        };
+    }
+
+    /**
+     * Formats a date with a cached `Intl.DateTimeFormat` for the current locale
+     * @param {Date} date - Date to format
+     * @param {Object} options - Intl.DateTimeFormat options
+     * @returns {string} Formatted date
+     */
+    _format(date, options) {
+        const locale = this.options.locale || undefined;
+        const key = JSON.stringify([locale, options]);
+        if (!this._formatters.has(key)) {
+            this._formatters.set(key, new Intl.DateTimeFormat(locale, options));
+        }
+        return this._formatters.get(key).format(date);
+    }
+
+    /**
+     * Upper-cases the first letter of a label ("lundi" becomes "Lundi")
+     * @param {string} text - Label
+     * @returns {string} Capitalized label
+     */
+    _capitalize(text) {
+        return text.charAt(0).toLocaleUpperCase(this.options.locale || undefined) + text.slice(1);
+    }
+
+    /**
+     * Builds a sortable key (yyyy-mm-dd, local time) for a date
+     * @param {Date} date - Date to convert
+     * @returns {string} Date key
+     */
+    _dateKey(date) {
+        return `${date.getFullYear()}-${(date.getMonth() + 1).toString().padStart(2, "0")}-${date
+            .getDate()
+            .toString()
+            .padStart(2, "0")}`;
+    }
+
+    /**
+     * Converts a Date, a dd/mm/yyyy string or an ISO string to a local midnight Date
+     * @param {Date|string} value - Date to convert
+     * @returns {Date|null} Date at midnight, or null when the value is invalid
+     */
+    _toDate(value) {
+        let date = null;
+        if (Object.prototype.toString.call(value) === "[object Date]") {
+            date = value;
+        } else if (typeof value === "string") {
+            const french = value.trim().match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+            // ISO dates without a time are read as local days, not UTC midnight
+            const iso = value.trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+            date = french ? new Date(french[3], french[2] - 1, french[1])
+                : iso ? new Date(iso[1], iso[2] - 1, iso[3])
+                    : new Date(value);
+        }
+
+        if (!date || isNaN(date.getTime())) {
+            return null;
+        }
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    }
+
+    /**
+     * Returns the first day (per `weekStartsOn`) of the week that contains the given date
+     * @param {Date} date - Any date in the week
+     * @returns {Date} First day of the week at midnight
+     */
+    _startOfWeek(date) {
+        const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        start.setDate(start.getDate() - ((start.getDay() - this._getWeekStartIndex() + 7) % 7));
+        return start;
+    }
+
+    /**
+     * Picks the date shown first: `initialDate`, else today when it lies within
+     * the loaded events, else the earliest event's date
+     * @returns {Date} Initial date at midnight
+     */
+    _getInitialDate() {
+        const initial = this._toDate(this.options.initialDate);
+        if (initial) {
+            return initial;
+        }
+
+        const today = this._toDate(this.getNow());
+        if (this.events.length > 0) {
+            const first = this.events[0].date;
+            const last = this.events[this.events.length - 1].date;
+            if (today < first || today > last) {
+                return new Date(first);
+            }
+        }
+        return today;
+    }
+
+    /**
+     * Gets the current view: the one set by `view`/`setView`, otherwise "agenda" when
+     * the container is narrower than `agendaBreakpoint` and "week" above
+     * @returns {string} View name
+     */
+    getView() {
+        if (this.view) {
+            return this.view;
+        }
+        const width = this.container ? this.container.clientWidth : 0;
+        return width > 0 && width < this.options.agendaBreakpoint ? "agenda" : "week";
+    }
+
+    /**
+     * Switches to another view, keeping the current date, data and filter
+     * @param {string|null} view - "day", "week", "month", "agenda", "resource", or null for automatic
+     */
+    setView(view) {
+        if (view && !Timetable.views.includes(view)) {
+            console.error(`Timetable: unknown view "${view}"`);
+            return;
+        }
+        this.view = view;
+        this.render();
+        this._emit("viewChange", { view: this.getView(), ...this.getRange() });
+    }
+
+    /**
+     * Gets the first and last day covered by the current view: the current day,
+     * its week (week and agenda views) or its month
+     * @returns {{start: Date, end: Date}} Visible range, both at midnight
+     */
+    getRange() {
+        const date = this.currentDate;
+        const view = this.getView();
+
+        if (view === "day" || view === "resource") {
+            return { start: new Date(date), end: new Date(date) };
+        }
+        if (view === "month") {
+            return {
+                start: new Date(date.getFullYear(), date.getMonth(), 1),
+                end: new Date(date.getFullYear(), date.getMonth() + 1, 0),
+            };
+        }
+
+        const start = this._startOfWeek(date);
+        const end = new Date(start);
+        end.setDate(end.getDate() + 6);
+        return { start, end };
+    }
+
+    /**
+     * Gets the visible days, restricted to the configured weekdays (except in the
+     * single-day views)
+     * @returns {Array} Objects with `key`, `date` and `day`
+     */
+    _getVisibleDays() {
+        const { start, end } = this.getRange();
+        const restrict = !["day", "resource"].includes(this.getView());
+        const days = [];
+        for (let date = new Date(start); date <= end; date.setDate(date.getDate() + 1)) {
+            const day = this._getDayOfWeek(date);
+            if (!restrict || this.options.weekdays.includes(day)) {
+                days.push({ key: this._dateKey(date), date: new Date(date), day });
+            }
+        }
+        return days;
+    }
+
+    /**
+     * Shows the day, week or month (depending on the view) containing the given date
+     * @param {Date|string} date - Date, dd/mm/yyyy string or ISO string
+     */
+    goTo(date) {
+        const target = this._toDate(date);
+        if (!target) {
+            console.error(`Timetable: invalid date "${date}"`);
+            return;
+        }
+        this.currentDate = target;
+        this.render();
+        this._emit("navigate", this.getRange());
+    }
+
+    /**
+     * Moves forward by one day, week or month depending on the view
+     */
+    next() {
+        this.goTo(this._shiftDate(1));
+    }
+
+    /**
+     * Moves back by one day, week or month depending on the view
+     */
+    prev() {
+        this.goTo(this._shiftDate(-1));
+    }
+
+    /**
+     * Shifts the current date by a number of view periods
+     * @param {number} amount - Periods to move (negative to go back)
+     * @returns {Date} Shifted date
+     */
+    _shiftDate(amount) {
+        const date = new Date(this.currentDate);
+        const view = this.getView();
+        if (view === "month") {
+            date.setDate(1);
+            date.setMonth(date.getMonth() + amount);
+        } else {
+            date.setDate(date.getDate() + amount * (view === "day" || view === "resource" ? 1 : 7));
+        }
+        return date;
+    }
+
+    /**
+     * Formats a date as dd/mm, or dd/mm/yyyy when `withYear` is set
+     */
+    formatDateLabel(date, withYear = false) {
+        return this._format(date, withYear
+            ? { day: "2-digit", month: "2-digit", year: "numeric" }
+            : { day: "2-digit", month: "2-digit" });
+    }
+
+    /**
+     * Formats a month and year, e.g. "March 2025"
+     */
+    formatMonthLabel(date) {
+        return this._capitalize(this._format(date, { month: "long", year: "numeric" }));
+    }
+
+    /**
+     * Describes the displayed period: the month, the day or the first and last days
+     * @returns {string} Period label
+     */
+    _getRangeLabel() {
+        const view = this.getView();
+        const range = this.getRange();
+        if (view === "month") {
+            return this.formatMonthLabel(range.start);
+        }
+        if (view === "day" || view === "resource") {
+            return `${this.getDayLabel(this._getDayOfWeek(range.start))} ${this.formatDateLabel(range.start, true)}`;
+        }
+        return `${this.formatDateLabel(range.start, true)} - ${this.formatDateLabel(range.end, true)}`;
+    }
+
+    /**
+     * Creates the toolbar with previous/today/next buttons, the range label and
+     * the view switcher
+     * @returns {HTMLElement} Toolbar element
+     */
+    _createToolbar() {
+        const toolbar = this._document.createElement("div");
+        toolbar.className = "timetable-toolbar";
+
+        const addButton = (className, label, title, handler) => {
+            const button = this._document.createElement("button");
+            button.type = "button";
+            button.className = `timetable-nav-btn ${className}`;
+            button.textContent = label;
+            button.title = title;
+            button.setAttribute("aria-label", title);
+            button.addEventListener("click", handler);
+            toolbar.appendChild(button);
+        };
+
+        addButton("timetable-prev", "‹", this._t("previous"), () => this.prev());
+        addButton("timetable-today", this._t("today"), this._t("today"), () => this.goTo(this.getNow()));
+        addButton("timetable-next", "›", this._t("next"), () => this.next());
+
+        const view = this.getView();
+        const label = this._document.createElement("span");
+        label.className = "timetable-range-label";
+        label.textContent = this._getRangeLabel();
+        toolbar.appendChild(label);
+
+        const viewLabels = {
+            day: this._t("day"),
+            week: this._t("week"),
+            month: this._t("month"),
+            agenda: this._t("agenda"),
+            resource: this._t("resources"),
+        };
+        const switcher = this._document.createElement("span");
+        switcher.className = "timetable-view-switcher";
+        (this.options.views || []).forEach((name) => {
+            const button = this._document.createElement("button");
+            button.type = "button";
+            button.className = "timetable-nav-btn timetable-view-btn";
+            button.classList.toggle("active", name === view);
+            button.setAttribute("data-view", name);
+            button.textContent = viewLabels[name] || name;
+            button.addEventListener("click", () => this.setView(name));
+            switcher.appendChild(button);
+        });
+        toolbar.appendChild(switcher);
+
+        return toolbar;
+    }
+
+    /**
+     * Resolves the visible hour range from the `startHour`/`endHour` options.
+     * "auto" fits the bound to the visible events, widened by `autoPadding` minutes
+     * and rounded to full hours.
+     * @returns {{start: number, end: number}} Range in minutes from midnight
+     */
+    getVisibleRange() {
+        let { startHour, endHour } = this.options;
+        const events = Object.values(this.data).flat();
+
+        if (startHour === "auto") {
+            startHour = events.length > 0
+                ? Math.floor((Math.min(...events.map(e => e.startMinutes)) - this.options.autoPadding) / 60)
+                : 8;
+        }
+        if (endHour === "auto") {
+            endHour = events.length > 0
+                ? Math.ceil((Math.max(...events.map(e => e.endMinutes)) + this.options.autoPadding) / 60)
+                : 18;
+        }
+
+        startHour = Math.min(Math.max(startHour, 0), 23);
+        endHour = Math.min(Math.max(endHour, startHour + 1), 24);
+
+        return { start: startHour * 60, end: endHour * 60 };
+    }
+
+    /**
+     * Generates time slots covering the visible hour range (see `getVisibleRange`)
+     */
+    generateTimeSlots() {
+        const range = this.getVisibleRange();
+        const startTimeMinutes = range.start;
+        const endTimeMinutes = range.end;
+
+        // Create time slots with specified time intervals
+        const slots = [];
+        for (let time = startTimeMinutes; time < endTimeMinutes; time += this.options.timeInterval) {
+            const minute = time % 60;
+            slots.push({
+                label: this.formatTimeLabel(time), // Follows `locale` and `hour12`
+                minutes: time,
+                isHour: minute === 0, // Flag to identify full hours
+                isHalfHour: minute === 30, // Flag to identify half hours
+            });
+        }
+
+        return slots;
+    }
+
+    /**
+     * Formats time label
+     */
+    formatTimeLabel(minutes) {
+        const options = { hour: "2-digit", minute: "2-digit" };
+        if (typeof this.options.hour12 === "boolean") {
+            options.hour12 = this.options.hour12;
+        }
+        const label = this._format(new Date(2000, 0, 1, 0, minutes), options);
+        // The midnight ending a day reads "24:00" on a 24-hour clock
+        return minutes >= 24 * 60 && /^0?0\D/.test(label) ? label.replace(/^0?0/, "24") : label;
+    }
+
+    /**
+     * Converts a duration to a pixel height (`slotHeight` pixels per `timeInterval` minutes)
+     * @param {number} duration - Duration in minutes
+     * @returns {number} Height in pixels
+     */
+    getHeightForDuration(duration) {
+        return duration / this.options.timeInterval * this.options.slotHeight;
+    }
+
+    /**
+     * Creates modal element for event details
+     */
+    _createModal() {
+        // Only create modal if enabled in options
+        if (!this.options.modalEnabled) {
+            return;
+        }
+
+        // Create modal backdrop
+        const modalBackdrop = document.createElement('div');
+        modalBackdrop.className = 'timetable-modal-backdrop';
+
+        // Create modal container, announced as a dialog named by its title
+        const modal = document.createElement('div');
+        modal.className = 'timetable-modal';
+        modal.setAttribute('role', 'dialog');
+        modal.setAttribute('aria-modal', 'true');
+        modal.setAttribute('aria-labelledby', `${this._domId}-modal-title`);
+        modal.setAttribute('aria-describedby', `${this._domId}-modal-body`);
+
+        // Modal header with close button
+        const modalHeader = document.createElement('div');
+        modalHeader.className = 'timetable-modal-header';
+
+        const modalTitle = document.createElement('h3');
+        modalTitle.className = 'timetable-modal-title';
+        modalTitle.id = `${this._domId}-modal-title`;
+
+        const closeButton = document.createElement('button');
+        closeButton.type = 'button';
+        closeButton.className = 'timetable-modal-close';
+        closeButton.innerHTML = '&times;';
+        closeButton.addEventListener('click', () => {
+            this.closeModal();
+        });
+
+        modalHeader.appendChild(modalTitle);
+        modalHeader.appendChild(closeButton);
+
+        // Color indicator at top of modal
+        const colorIndicator = document.createElement('div');
+        colorIndicator.className = 'modal-color-indicator';
+
+        // Modal body for content
+        const modalBody = document.createElement('div');
+        modalBody.className = 'timetable-modal-body';
+        modalBody.id = `${this._domId}-modal-body`;
+
+        // Modal footer
+        const modalFooter = document.createElement('div');
+        modalFooter.className = 'timetable-modal-footer';
+
+        // Assemble modal
+        modal.appendChild(colorIndicator);
+        modal.appendChild(modalHeader);
+        modal.appendChild(modalBody);
+        modal.appendChild(modalFooter);
+        modalBackdrop.appendChild(modal);
+
+        // Add click event to backdrop for closing
+        modalBackdrop.addEventListener('click', (e) => {
+            if (e.target === modalBackdrop) {
+                this.closeModal();
+            }
+        });
+
+        // Keep the focus inside the modal while it is open
+        modal.addEventListener('keydown', (e) => {
+            if (e.key !== 'Tab') {
+                return;
+            }
+            const focusable = [...modal.querySelectorAll(
+                'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])'
+            )];
+            if (focusable.length === 0) {
+                e.preventDefault();
+                return;
+            }
+            const first = focusable[0];
+            const last = focusable[focusable.length - 1];
+            if (e.shiftKey && document.activeElement === first) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && document.activeElement === last) {
+                e.preventDefault();
+                first.focus();
+            }
+        });
+
+        // Add keyboard event to close on escape (removed again by destroy)
+        this._onDocumentKeydown = (e) => {
+            if (e.key === 'Escape' && modalBackdrop.classList.contains('active')) {
+                this.closeModal();
+            }
+        };
+        document.addEventListener('keydown', this._onDocumentKeydown);
+
+        // Add to DOM
+        this._getModalRoot().appendChild(modalBackdrop);
+        this.modalElement = {
+            backdrop: modalBackdrop,
+            modal: modal,
+            title: modalTitle,
+            body: modalBody,
+            footer: modalFooter,
+            colorIndicator: colorIndicator,
+            closeButton: closeButton
+        };
+    }
+
+    /**
+     * Cleans category string for CSS class use by removing parentheses and special characters
+     * @param {string} category - The category string to clean
+     * @returns {string} Cleaned category string suitable for CSS class
+     */
+    _cleanCategoryForCss(category) {
+        if (!category) return 'other';
+        // Remove parentheses and their content, then trim and convert to kebab-case
+        return category
+            .replace(/\s*\([^)]*\)/g, '') // Remove parentheses and their content
+            .toLowerCase()
+            .trim()
+            .replace(/\s+/g, '-');
+    }
+
+    /**
+     * Resolves the color, label and icon of a category. Entries of the `categories`
+     * option override those of `Timetable.categories`; a category without a color
+     * gets an unused color of `categoryPalette`, kept for the lifetime of the timetable.
+     * `categories` is either an object keyed by category name or an array of
+     * `{ match, color, label, icon }` where `match` is a name, RegExp or function.
+     * @param {string} category - Category name
+     * @returns {{color: string, label: string, icon: string|null}} Category style
+     */
+    getCategoryStyle(category) {
+        const name = String(category || "");
+        const toEntries = (categories) => (Array.isArray(categories)
+            ? categories
+            : Object.keys(categories || {}).map((key) => ({ match: key, ...categories[key] })));
+        const matches = ({ match }) => {
+            if (match instanceof RegExp) return match.test(name);
+            if (typeof match === "function") return !!match(name);
+            return String(match).toLowerCase() === name.toLowerCase();
+        };
+
+        const configured = toEntries(this.options.categories);
+        const entry = {
+            ...toEntries(Timetable.categories).find(matches),
+            ...configured.find(matches),
+        };
+
+        let color = entry.color;
+        if (!color) {
+            const key = name.toLowerCase();
+            if (!this._categoryColors.has(key)) {
+                // Prefer palette colors no configured category or earlier category uses
+                const palette = this.options.categoryPalette;
+                const taken = new Set([...configured, ...Timetable.categories, ...this._categoryColors.values()]
+                    .map((value) => (typeof value === "string" ? value : value.color)));
+                const free = palette.find((candidate) => !taken.has(candidate));
+                this._categoryColors.set(key, free || palette[this._categoryColors.size % palette.length]);
+            }
+            color = this._categoryColors.get(key);
+        }
+
+        return { color, label: entry.label || name, icon: entry.icon || null };
+    }
+
+    /**
+     * Creates the icon element of a category, when `showIcons` is on and it has one
+     * @param {string} category - Category name
+     * @returns {HTMLElement|null} Icon element
+     */
+    _createCategoryIcon(category) {
+        const { icon } = this.getCategoryStyle(category);
+        if (!this.options.showIcons || !icon) {
+            return null;
+        }
+        const element = this._document.createElement("i");
+        element.className = `category-icon ${/(^|\s)fa-(solid|regular|brands)\b/.test(icon) ? "" : "fa-solid "}${icon}`;
+        element.setAttribute("aria-hidden", "true");
+        return element;
+    }
+
+    /**
+     * Renders the legend: one entry per category of the visible events
+     * @param {Array} events - Visible events
+     * @returns {HTMLElement} Legend element
+     */
+    _renderLegend(events) {
+        const legend = this._document.createElement("div");
+        legend.className = "timetable-legend";
+
+        [...new Set(events.map((event) => event.category))]
+            .sort((a, b) => a.localeCompare(b))
+            .forEach((category) => {
+                const { color, label } = this.getCategoryStyle(category);
+                const item = this._document.createElement("span");
+                item.className = "timetable-legend-item";
+                item.setAttribute("data-category", category);
+                item.style.setProperty("--category-color", color);
+
+                const swatch = this._document.createElement("span");
+                swatch.className = "timetable-legend-swatch";
+                item.appendChild(swatch);
+                const icon = this._createCategoryIcon(category);
+                if (icon) {
+                    item.appendChild(icon);
+                }
+                item.appendChild(this._document.createTextNode(label));
+                legend.appendChild(item);
+            });
+
+        return legend;
+    }
+
+    /**
+     * Builds the default modal body, with text nodes only; user data never reaches innerHTML
+     * @param {Object} event - Prepared event
+     * @returns {DocumentFragment} Modal sections
+     */
+    _createModalContent(event) {
+        const content = document.createDocumentFragment();
+        const placeholders = this._getPlaceholders();
+
+        // Time information
+        content.appendChild(this._createModalInfo(this._t('time'), `${event.startTime} - ${event.endTime}`));
+
+        // Category
+        if (event.category) {
+            content.appendChild(this._createModalInfo(this._t('category'), this.getCategoryStyle(event.category).label));
+        }
+
+        // Location
+        if (event.location && event.location !== placeholders.location) {
+            content.appendChild(this._createModalInfo(this._t('location'), event.location));
+        }
+
+        // Staff
+        if (event.staff && event.staff !== placeholders.staff) {
+            content.appendChild(this._createModalInfo(this._t('staff'), event.staff));
+        }
+
+        // Group
+        if (event.group && event.group !== placeholders.group) {
+            content.appendChild(this._createModalInfo(this._t('group'), event.group));
+        }
+
+        // Remarks, as HTML only when the page supplies a sanitizer
+        if (event.remarks) {
+            const sanitizeHtml = this.options.sanitizeHtml;
+            content.appendChild(typeof sanitizeHtml === 'function'
+                ? this._createModalInfo(this._t('notes'), sanitizeHtml(String(event.remarks), event), true)
+                : this._createModalInfo(this._t('notes'), event.remarks));
+        }
+
+        return content;
+    }
+
+    /**
+     * Appends the output of a `renderEvent`/`renderModal` renderer to an element, or
+     * the default content when there is no renderer or it returns nothing. Strings
+     * are inserted as HTML: renderers must escape event data (`ctx.escape`).
+     * @param {HTMLElement} target - Element receiving the content
+     * @param {Function|null} renderer - Renderer option
+     * @param {Object} event - Prepared event
+     * @param {Object} ctx - Context passed to the renderer
+     * @param {Function} createDefault - Builds the default content
+     */
+    _appendRendered(target, renderer, event, ctx, createDefault) {
+        let content = null;
+        if (typeof renderer === "function") {
+            try {
+                content = renderer.call(this, event, {
+                    ...ctx,
+                    timetable: this,
+                    escape: (value) => this._escapeHtml(value),
+                    defaultContent: createDefault,
+                });
+            } catch (error) {
+                console.error("Timetable: error in custom renderer", error);
+            }
+        }
+
+        if (content === null || content === undefined || content === false) {
+            target.appendChild(createDefault());
+        } else if (typeof content === "string") {
+            target.insertAdjacentHTML("beforeend", content);
+        } else {
+            target.appendChild(content);
+        }
+    }
+
+    /**
+     * Escapes text for use in HTML markup
+     * @param {*} value - Text to escape
+     * @returns {string} Escaped text
+     */
+    _escapeHtml(value) {
+        return String(value === null || value === undefined ? "" : value)
+            .replace(/&/g, "&amp;")
+            .replace(/</g, "&lt;")
+            .replace(/>/g, "&gt;")
+            .replace(/"/g, "&quot;")
+            .replace(/'/g, "&#39;");
+    }
+
+    /**
+     * Creates a labelled section of the modal body
+     * @param {string} label - Section heading
+     * @param {string} value - Section text
+     * @param {boolean} isTrustedHtml - Insert `value` as HTML (only for sanitized content)
+     * @returns {HTMLElement} Section element
+     */
+    _createModalInfo(label, value, isTrustedHtml = false) {
+        const info = document.createElement('div');
+        info.className = 'timetable-modal-info';
+
+        const heading = document.createElement('h4');
+        heading.textContent = label;
+        info.appendChild(heading);
+
+        const text = document.createElement('p');
+        if (isTrustedHtml) {
+            text.innerHTML = value;
+        } else {
+            text.textContent = value;
+        }
+        info.appendChild(text);
+
+        return info;
+    }
+
+    /**
+     * Opens modal with event details
+     * @param {Object} event - Event object with details
+     */
+    openModal(event) {
+        if (!this.modalElement || !this.options.modalEnabled) {
+            return;
+        }
+        if (this._emit("modalOpen", { event, raw: event.raw }).defaultPrevented) {
+            return;
+        }
+        this.modalElement.event = event;
+
+        // Set category class for styling - use cleaned category
+        const categoryClass = this._cleanCategoryForCss(event.category);
+        const categoryStyle = this.getCategoryStyle(event.category);
+        this.modalElement.colorIndicator.className = 'modal-color-indicator';
+        this.modalElement.colorIndicator.classList.add(categoryClass);
+        this.modalElement.modal.style.setProperty('--category-color', categoryStyle.color);
+
+        // Set title
+        this.modalElement.title.textContent = event.name;
+        const titleIcon = this._createCategoryIcon(event.category);
+        if (titleIcon) {
+            this.modalElement.title.prepend(titleIcon);
+        }
+
+        const body = this.modalElement.body;
+        body.textContent = '';
+        this._appendRendered(body, this.options.renderModal, event, {
+            view: this.getView(),
+            close: () => this.closeModal(),
+        }, () => this._createModalContent(event));
+
+        // Add close button (and optional calendar export) to footer
+        const footer = this.modalElement.footer;
+        footer.textContent = '';
+        if (this.options.modalExport) {
+            const exportButton = document.createElement('button');
+            exportButton.className = 'btn-export';
+            exportButton.textContent = this._t('addToCalendar');
+            exportButton.addEventListener('click', () => {
+                this._download(this.exportICS({ events: [event] }), `${event.name}.ics`, 'text/calendar');
+            });
+            footer.appendChild(exportButton);
+        }
+        const closeButton = document.createElement('button');
+        closeButton.className = 'btn-close';
+        closeButton.textContent = this._t('close');
+        closeButton.addEventListener('click', () => {
+            this.closeModal();
+        });
+        footer.appendChild(closeButton);
+
+        // Show modal
+        const wasOpen = this.modalElement.backdrop.classList.contains('active');
+        this.modalElement.backdrop.classList.add('active');
+        this.modalElement.closeButton.setAttribute('aria-label', this._t('close'));
+
+        // Prevent body scrolling, remembering the page's own setting and the focused element
+        if (!wasOpen) {
+            this._previousBodyOverflow = document.body.style.overflow;
+            document.body.style.overflow = 'hidden';
+            this._previousFocus = document.activeElement;
+        }
+        this.modalElement.closeButton.focus();
+    }
+
+    /**
+     * Closes the modal
+     */
+    closeModal() {
+        if (!this.modalElement || !this.modalElement.backdrop.classList.contains('active')) {
+            return;
+        }
+
+        this.modalElement.backdrop.classList.remove('active');
+
+        // Restore body scrolling
+        document.body.style.overflow = this._previousBodyOverflow || '';
+
+        const event = this.modalElement.event;
+        this.modalElement.event = null;
+
+        // Give the focus back, to the same event's block if it has been re-rendered since
+        const previous = this._previousFocus;
+        this._previousFocus = null;
+        const target = previous && document.contains(previous) && previous !== document.body
+            ? previous
+            : event && this._findEventElement(event.id);
+        if (target) {
+            target.focus();
+        }
+
+        this._emit("modalClose", { event, raw: event && event.raw });
+    }
+
+    /**
+     * Removes everything the instance added to the page: rendered markup, modal,
+     * document listeners and (when no other instance uses it) the Font Awesome stylesheet
+     */
+    destroy() {
+        this.closeModal();
+
+        if (this.modalElement) {
+            this.modalElement.backdrop.remove();
+            this.modalElement = null;
+        }
+        if (this._onDocumentKeydown) {
+            document.removeEventListener('keydown', this._onDocumentKeydown);
+            this._onDocumentKeydown = null;
+        }
+        if (this.wrapperElement) {
+            this.wrapperElement.remove();
+            this.wrapperElement = null;
+        }
+        if (this.filterBarElement) {
+            this.filterBarElement.remove();
+            this.filterBarElement = null;
+        }
+
+        if (!this._headless) {
+            window.removeEventListener("resize", this._onWindowResize);
+        }
+        clearInterval(this._nowTimer);
+        this._nowTimer = null;
+        this._unloadDependencies();
+    }
+
+    /**
+     * Lays out one day of events in a column of absolutely positioned blocks. Does
+     * not touch the DOM nor the events, so it can be used on its own (or in Node).
+     * Events are clipped to the visible range and drawn at least `minRowSpan` slots
+     * tall; overlapping events form a cluster and each takes the first lane that is
+     * free at its start time.
+     * @param {Array} events - Prepared events of one day (`startMinutes`, `endMinutes`)
+     * @param {Object} options - `start` and `end` of the visible range in minutes,
+     *   `timeInterval` and `slotHeight` (pixels per interval), `minRowSpan`
+     * @returns {Object} `blocks` (with `event`, `startMinutes`, `endMinutes`,
+     *   `clippedStart`, `clippedEnd`, `offGrid`, `lane`, `laneCount`, `top` and
+     *   `height` in pixels), the events `before` and `after` the visible range and
+     *   the column `height`
+     */
+    static layoutDay(events, { start = 0, end = 24 * 60, timeInterval = 15, slotHeight = 20, minRowSpan = 2 } = {}) {
+        // Slots start at `start`, so the last one may run past `end`
+        const lastSlotEnd = start + Math.ceil((end - start) / timeInterval) * timeInterval;
+        const toPixels = (minutes) => minutes / timeInterval * slotHeight;
+        const before = [];
+        const after = [];
+        const blocks = [];
+
+        events.forEach((event) => {
+            if (event.endMinutes <= start) {
+                before.push(event);
+            } else if (event.startMinutes >= end) {
+                after.push(event);
+            } else {
+                const startMinutes = Math.max(event.startMinutes, start);
+                blocks.push({
+                    event,
+                    startMinutes,
+                    // Short events are drawn at least `minRowSpan` slots tall
+                    endMinutes: Math.min(
+                        Math.max(Math.min(event.endMinutes, end), startMinutes + minRowSpan * timeInterval),
+                        lastSlotEnd
+                    ),
+                    clippedStart: event.startMinutes < start,
+                    clippedEnd: event.endMinutes > end,
+                    offGrid: (startMinutes - start) % timeInterval !== 0,
+                });
+            }
+        });
+        blocks.sort((a, b) => a.startMinutes - b.startMinutes || b.endMinutes - a.endMinutes);
+
+        let cluster = null;
+        blocks.forEach((block) => {
+            if (!cluster || block.startMinutes >= cluster.end) {
+                cluster = { end: block.endMinutes, lanes: [] };
+            }
+            cluster.end = Math.max(cluster.end, block.endMinutes);
+
+            // Place the block in the first lane that is free at its start time
+            let lane = cluster.lanes.findIndex((laneEnd) => laneEnd <= block.startMinutes);
+            if (lane === -1) {
+                lane = cluster.lanes.length;
+            }
+            cluster.lanes[lane] = block.endMinutes;
+            block.lane = lane;
+            block.cluster = cluster;
+        });
+
+        blocks.forEach((block) => {
+            block.laneCount = block.cluster.lanes.length;
+            block.top = toPixels(block.startMinutes - start);
+            block.height = toPixels(block.endMinutes - block.startMinutes);
+            delete block.cluster;
+        });
+
+        return { blocks, before, after, height: toPixels(lastSlotEnd - start) };
+    }
+
+    /**
+     * Creates the block displayed for an event in the grid. Its content comes from
+     * `renderEvent` when set, with a context giving the view, the block's `height` in
+     * pixels, the cluster's `laneCount` and `compact`.
+     * @param {Object} event - Prepared event
+     * @param {Object} block - Block of the event from `Timetable.layoutDay`
+     * @returns {HTMLElement} Event element
+     */
+    _createEventElement(event, block) {
+        let eventDiv = this._document.createElement("div");
+        const categoryClass = this._cleanCategoryForCss(event.category);
+        eventDiv.classList.add("event", categoryClass);
+        eventDiv.style.setProperty("--category-color", this.getCategoryStyle(event.category).color);
+        eventDiv.classList.toggle("off-grid", block.offGrid);
+        eventDiv.classList.toggle("search-match", this.matchesSearch(event));
+
+        const conflicts = this._conflictIndex && this._conflictIndex.get(event.id);
+        if (conflicts) {
+            eventDiv.classList.add("has-conflict");
+            let badge = this._document.createElement("span");
+            badge.classList.add("event-conflict-badge");
+            badge.textContent = "!";
+            badge.title = conflicts.join("\n");
+            eventDiv.appendChild(badge);
+        }
+        eventDiv.classList.toggle("clipped-start", block.clippedStart);
+        eventDiv.classList.toggle("clipped-end", block.clippedEnd);
+        eventDiv.style.overflow = "auto";
+
+        let colorBar = this._document.createElement("div");
+        colorBar.classList.add("event-color-bar", categoryClass);
+        eventDiv.appendChild(colorBar);
+
+        // Blocks shorter than three slots or sharing their cell with two others are compact
+        const { height, laneCount } = block;
+        const compact = height < 3 * this.options.slotHeight || laneCount > 2;
+        eventDiv.classList.toggle("compact", compact);
+        this._appendRendered(eventDiv, this.options.renderEvent, event, {
+            view: this.getView(),
+            height,
+            laneCount,
+            compact,
+        }, () => this._createEventContent(event));
+
+        this._attachEventHandlers(eventDiv, event);
+        return eventDiv;
+    }
+
+    /**
+     * Builds the default content of an event block: title, time range and the
+     * location and staff lines enabled by `showClasse` and `showProf`
+     * @param {Object} event - Prepared event
+     * @returns {DocumentFragment} Block content
+     */
+    _createEventContent(event) {
+        const content = this._document.createDocumentFragment();
+
+        let titleElem = this._document.createElement("div");
+        titleElem.classList.add("event-title");
+        titleElem.textContent = event.name;
+        const icon = this._createCategoryIcon(event.category);
+        if (icon) {
+            titleElem.prepend(icon);
+        }
+        content.appendChild(titleElem);
+
+        let timeRangeElem = this._document.createElement("div");
+        timeRangeElem.classList.add("event-time");
+        timeRangeElem.textContent = `${event.startTime} - ${event.endTime}`;
+        content.appendChild(timeRangeElem);
+
+        // ADD BASIC INFO: show location if defined
+        const placeholders = this._getPlaceholders();
+        if (this.options.showClasse) {
+            if (event.location && event.location !== placeholders.location) {
+                let classeInfo = this._document.createElement("div");
+                classeInfo.classList.add("event-basic-info");
+                classeInfo.textContent = event.location;
+                content.appendChild(classeInfo);
+            }
+        }
+        if (this.options.showProf) {
+            if (event.staff && event.staff !== placeholders.staff) {
+                let profInfo = this._document.createElement("div");
+                profInfo.classList.add("event-basic-info");
+                profInfo.textContent = event.staff;
+                content.appendChild(profInfo);
+            }
+        }
+
+        return content;
+    }
+
+    /**
+     * Tags an element showing an event with its id (`data-event-id`), makes it a
+     * focusable button opened with Enter or Space, and wires its click (hook, then
+     * modal) and hover handlers
+     * @param {HTMLElement} element - Event block, chip or agenda item
+     * @param {Object} event - Prepared event
+     */
+    _attachEventHandlers(element, event) {
+        element.setAttribute("data-event-id", event.id);
+
+        // Focusable button named by a visually hidden summary
+        element.setAttribute("role", "button");
+        element.setAttribute("tabindex", "0");
+        const summary = this._document.createElement("span");
+        summary.className = "timetable-sr-only";
+        summary.id = `${this._domId}-summary-${++this._summaryCount}`;
+        summary.textContent = this._getEventSummary(event);
+        element.appendChild(summary);
+        element.setAttribute("aria-labelledby", summary.id);
+        element.addEventListener('keydown', (e) => {
+            if ((e.key === 'Enter' || e.key === ' ') && e.target === element) {
+                e.preventDefault();
+                element.click();
+            }
+        });
+        element.addEventListener('click', (e) => {
+            const payload = this._emit("eventClick", { event, raw: event.raw, domEvent: e });
+            if (!payload.defaultPrevented && this.options.modalEnabled) {
+                this.openModal(event);
+            }
+        });
+        element.addEventListener('mouseenter', (e) => {
+            this._emit("eventHover", { event, raw: event.raw, domEvent: e });
+        });
+    }
+
+    /**
+     * Lets an event block of the grid be dragged to another time or column, resized
+     * from its bottom edge, and moved with Alt+arrows (Alt+Shift+Up/Down resizes).
+     * Moves snap to `timeInterval`; in the resource view, blocks move in time only.
+     * @param {HTMLElement} element - Event block
+     * @param {Object} event - Prepared event
+     * @param {Object} column - Grid column the block is in
+     * @param {Array} columns - All grid columns
+     */
+    _makeEditable(element, event, column, columns) {
+        const interval = this.options.timeInterval;
+        const slotPixels = this.getHeightForDuration(interval);
+        const snap = (pixels) => Math.round(pixels / slotPixels) * interval;
+        const lateral = column.resource === undefined;
+
+        element.classList.add("editable");
+
+        let handle = this._document.createElement("div");
+        handle.classList.add("event-resize-handle");
+        element.appendChild(handle);
+
+        // Gets the column under a horizontal position, using the header cells
+        const columnAt = (clientX) => {
+            const table = element.closest("table");
+            const header = table && [...table.querySelectorAll("thead th[data-key]")].find((th) => {
+                const rect = th.getBoundingClientRect();
+                return clientX >= rect.left && clientX < rect.right;
+            });
+            return (header && columns.find(({ key }) => key === header.getAttribute("data-key"))) || column;
+        };
+
+        element.addEventListener("pointerdown", (e) => {
+            if (e.button !== 0) return;
+            const resizing = e.target === handle;
+            const originX = e.clientX;
+            const originY = e.clientY;
+            const originHeight = element.style.height;
+            const timeElem = element.querySelector(".event-time");
+            let dragging = false;
+            let change = null;
+
+            const onMove = (moveEvent) => {
+                const dx = moveEvent.clientX - originX;
+                const dy = moveEvent.clientY - originY;
+                if (!dragging && Math.abs(dx) < 4 && Math.abs(dy) < 4) return;
+                if (!dragging) {
+                    // The block is changed in place, so its column must not be reused as is
+                    this._columnCache.delete(column.key);
+                }
+                dragging = true;
+                element.classList.add(resizing ? "resizing" : "dragging");
+
+                if (resizing) {
+                    const endMinutes = Math.max(event.endMinutes + snap(dy), event.startMinutes + interval);
+                    change = { date: event.date, startMinutes: event.startMinutes, endMinutes };
+                    element.style.height = `calc(${originHeight} + ${this.getHeightForDuration(endMinutes - event.endMinutes)}px)`;
+                } else {
+                    const target = lateral ? columnAt(moveEvent.clientX) : column;
+                    const delta = snap(dy);
+                    change = {
+                        date: target.date,
+                        startMinutes: event.startMinutes + delta,
+                        endMinutes: event.endMinutes + delta,
+                    };
+                    const columnOffset = target !== column ? this._getColumnOffset(element, column, target) : 0;
+                    element.style.transform = `translate(${columnOffset}px, ${this.getHeightForDuration(delta)}px)`;
+                }
+                if (timeElem) {
+                    timeElem.textContent = `${this.formatTimeLabel(change.startMinutes)} - ${this.formatTimeLabel(change.endMinutes)}`;
+                }
+            };
+
+            const onEnd = (endEvent) => {
+                document.removeEventListener("pointermove", onMove);
+                document.removeEventListener("pointerup", onEnd);
+                document.removeEventListener("pointercancel", onEnd);
+                if (!dragging) return;
+
+                // The block is re-rendered either way, so the click that follows never reaches it
+                if (endEvent.type === "pointercancel" || !change) {
+                    this.render();
+                } else {
+                    this._changeEvent(event, change, resizing ? "resize" : "move");
+                }
+            };
+
+            document.addEventListener("pointermove", onMove);
+            document.addEventListener("pointerup", onEnd);
+            document.addEventListener("pointercancel", onEnd);
+            e.preventDefault();
+        });
+
+        element.addEventListener("keydown", (e) => {
+            if (!e.altKey || !e.key.startsWith("Arrow")) return;
+            let change = null;
+
+            if (e.key === "ArrowUp" || e.key === "ArrowDown") {
+                const delta = e.key === "ArrowUp" ? -interval : interval;
+                change = e.shiftKey
+                    ? { date: event.date, startMinutes: event.startMinutes, endMinutes: Math.max(event.endMinutes + delta, event.startMinutes + interval) }
+                    : { date: event.date, startMinutes: event.startMinutes + delta, endMinutes: event.endMinutes + delta };
+            } else if (lateral && !e.shiftKey) {
+                const target = columns[columns.indexOf(column) + (e.key === "ArrowLeft" ? -1 : 1)];
+                if (target) {
+                    change = { date: target.date, startMinutes: event.startMinutes, endMinutes: event.endMinutes };
+                }
+            }
+            if (!change) return;
+
+            e.preventDefault();
+            this._changeEvent(event, change, e.shiftKey ? "resize" : "move");
+            const moved = this._findEventElement(event.id);
+            if (moved) {
+                moved.focus();
+            }
+        });
+    }
+
+    /**
+     * Measures the horizontal distance between two grid columns
+     * @param {HTMLElement} element - Element inside the grid
+     * @param {Object} from - Source column
+     * @param {Object} to - Target column
+     * @returns {number} Distance in pixels
+     */
+    _getColumnOffset(element, from, to) {
+        const table = element.closest("table");
+        const headerOf = ({ key }) => [...table.querySelectorAll("thead th[data-key]")]
+            .find((th) => th.getAttribute("data-key") === key);
+        return headerOf(to).getBoundingClientRect().left - headerOf(from).getBoundingClientRect().left;
+    }
+
+    /**
+     * Moves or resizes an event after validation. "beforeEventChange" handlers may
+     * call `preventDefault()` to reject the change, which reverts the block; accepted
+     * changes are written back to the raw record through the adapter's `serialize`.
+     * Adapters without `serialize` cannot save edits, so the change is reverted.
+     * @param {Object} event - Prepared event
+     * @param {Object} change - New `date`, `startMinutes` and `endMinutes`
+     * @param {string} action - "move" or "resize"
+     * @returns {boolean} Whether the change was applied
+     */
+    _changeEvent(event, change, action) {
+        const { date, startMinutes, endMinutes } = change;
+        const start = new Date(date.getFullYear(), date.getMonth(), date.getDate(), 0, startMinutes);
+        const end = new Date(date.getFullYear(), date.getMonth(), date.getDate(), 0, endMinutes);
+
+        if (startMinutes < 0 || endMinutes > 24 * 60 ||
+            (start.getTime() === event.start.getTime() && end.getTime() === event.end.getTime())) {
+            this.render();
+            return false;
+        }
+
+        // Conflicts the event would be involved in at its new position
+        const moved = {
+            ...event,
+            start,
+            end,
+            date: new Date(date.getFullYear(), date.getMonth(), date.getDate()),
+            dateKey: this._dateKey(date),
+            startMinutes,
+            endMinutes,
+        };
+        const found = this.findConflicts({
+            events: [...this.events.filter((other) => other.id !== event.id), moved],
+        });
+        const conflicts = [...found.location, ...found.staff, ...found.group]
+            .filter((conflict) => conflict.events.includes(moved));
+
+        const detail = {
+            event,
+            raw: event.raw,
+            action,
+            oldStart: event.start,
+            oldEnd: event.end,
+            oldDate: event.dateKey,
+            start,
+            end,
+            date: moved.dateKey,
+            conflicts,
+        };
+        if (this._emit("beforeEventChange", detail).defaultPrevented) {
+            this.render();
+            return false;
+        }
+
+        // Without a writer nothing is saved: revert rather than report a change
+        const adapter = this._getAdapter();
+        if (!adapter.serialize) {
+            this.render();
+            return false;
+        }
+        this.updateEvent(event.id, adapter.serialize({ start, end }, adapter.fields, event.raw));
+        this._emit("eventChange", detail);
+        return true;
+    }
+
+    /**
+     * Describes an event for screen readers, e.g. "IN2R06, Monday 14:00 to 15:00, Amphi B - VEL"
+     * @param {Object} event - Prepared event
+     * @returns {string} Summary
+     */
+    _getEventSummary(event) {
+        const summary = this._t("eventSummary", {
+            name: event.name,
+            day: this.getDayLabel(event.day),
+            date: this.formatDateLabel(event.date),
+            start: event.startTime,
+            end: event.endTime,
+        });
+        return event.location !== this._getPlaceholders().location ? `${summary}, ${event.location}` : summary;
+    }
+
+    /**
+     * Finds the rendered element of an event
+     * @param {string} id - Event id
+     * @returns {HTMLElement|undefined} First element showing the event
+     */
+    _findEventElement(id) {
+        return this.wrapperElement
+            ? [...this.wrapperElement.querySelectorAll("[data-event-id]")]
+                .find((element) => element.getAttribute("data-event-id") === String(id))
+            : undefined;
+    }
+
+    /**
+     * Moves the focus between the events and empty slots of the grid with the arrow
+     * keys: up/down within a column, left/right to the nearest item of the next column
+     * @param {KeyboardEvent} e - Keydown event
+     * @param {HTMLElement} table - Grid table
+     */
+    _onGridKeydown(e, table) {
+        const directions = { ArrowUp: [0, -1], ArrowDown: [0, 1], ArrowLeft: [-1, 0], ArrowRight: [1, 0] };
+        if (!directions[e.key] || e.altKey || e.ctrlKey || e.metaKey) return;
+        const current = e.target.closest("[data-nav-minutes]");
+        if (!current || !table.contains(current)) return;
+
+        const columnOf = (item) => item.closest("td").getAttribute("data-key");
+        const minutesOf = (item) => Number(item.getAttribute("data-nav-minutes"));
+        const items = [...table.querySelectorAll("[data-nav-minutes]")];
+        const itemsIn = (key) => items.filter((item) => columnOf(item) === key)
+            .sort((a, b) => minutesOf(a) - minutesOf(b));
+        const keys = [...table.querySelectorAll("thead th[data-key]")].map((th) => th.getAttribute("data-key"));
+
+        const [dx, dy] = directions[e.key];
+        let target;
+        if (dy) {
+            const column = itemsIn(columnOf(current));
+            target = column[column.indexOf(current) + dy];
+        } else {
+            // The item of the neighbouring column covering the same time, or its first one
+            const column = itemsIn(keys[keys.indexOf(columnOf(current)) + dx]);
+            const before = column.filter((item) => minutesOf(item) <= minutesOf(current));
+            target = before[before.length - 1] || column[0];
+        }
+
+        if (target) {
+            e.preventDefault();
+            target.focus();
+        }
+    }
+
+    /**
+     * Gets the displayed (filtered) events of each visible day, keyed by date
+     * @param {Array} days - Visible days from `_getVisibleDays`
+     * @returns {Object} Events sorted by start, keyed by date key
+     */
+    _getEventsByDate(days) {
+        const byDate = {};
+        days.forEach(({ key }) => {
+            byDate[key] = [];
         });
-        thead.appendChild(headRow);
-        table.appendChild(thead);
+        this.events.forEach((event) => {
+            if (byDate[event.dateKey] && this.matchesFilter(event)) {
+                byDate[event.dateKey].push(event);
+            }
+        });
+        return byDate;
+    }
+
+    /**
+     * Renders the timetable in the current view
+     */
+    render() {
+        if (this._headless) {
+            // Nothing is drawn, but the visible events still drive "auto" hours and free slots
+            this.data = this._getEventsByDate(this._getVisibleDays());
+            return;
+        }
+        if (!this.container) {
+            console.error("Timetable container not found");
+            return;
+        }
+
+        this._renderFilterBar();
+
+        // Replace the previous rendering; the modal may live in the container too
+        if (this.wrapperElement) {
+            this.wrapperElement.remove();
+        }
+        const view = this.getView();
+        const wrapper = this._renderWrapper();
 
-        // Generate body
-        let tbody = document.createElement("tbody");
+        this.container.appendChild(wrapper);
+        this.wrapperElement = wrapper;
+        this._renderedView = view;
+        if (this.options.showNow) {
+            this._updateNowIndicator();
+        }
 
-        // Create a 2D grid to track cell availability
-        const days = Object.keys(this.data);
-        const cellOccupied = {}; // Track which cells are already occupied
-        days.forEach((day) => {
-            cellOccupied[day] = {};
+        this._emit("render", {
+            ...this.getRange(),
+            view,
+            events: Object.values(this.data).flat(),
         });
+    }
+
+    /**
+     * Builds the markup of the current view (toolbar, legend and grid, month or
+     * agenda) and updates `this.data` with the visible events
+     * @returns {HTMLElement} Wrapper element
+     */
+    _renderWrapper() {
+        const view = this.getView();
+        const wrapper = this._document.createElement("div");
+        wrapper.classList.add("timetable-wrapper", `timetable-view-${view}`);
+
+        if (this.options.showNavigation) {
+            wrapper.appendChild(this._createToolbar());
+        }
 
-        // Sort events for each day by start time
-        days.forEach((day) => {
-            this.data[day].sort((a, b) => a.startMinutes - b.startMinutes);
+        const visibleDays = this._getVisibleDays();
+        this.data = this._getEventsByDate(visibleDays);
+        if (this.options.showLegend) {
+            wrapper.appendChild(this._renderLegend(Object.values(this.data).flat()));
+        }
+        this._conflictIndex = this.options.showConflicts ? this._getConflictIndex() : null;
+
+        if (view === "month") {
+            this._columnCache.clear();
+            wrapper.appendChild(this._renderMonth());
+        } else if (view === "agenda") {
+            this._columnCache.clear();
+            wrapper.appendChild(this._renderAgenda(visibleDays));
+        } else if (view === "resource") {
+            wrapper.appendChild(this._renderGrid(this._getResourceColumns(visibleDays[0])));
+        } else {
+            wrapper.appendChild(this._renderGrid(visibleDays.map((day) => ({
+                ...day,
+                label: this.getDayLabel(day.day),
+                subLabel: this.formatDateLabel(day.date),
+                events: this.data[day.key],
+            }))));
+        }
+
+        return wrapper;
+    }
+
+    /**
+     * Renders a timetable to an HTML string, without a browser: for server-side
+     * rendering and static HTML export. The markup is the one `render()` puts in the
+     * container, without behaviour (click handlers, modal, "now" indicator).
+     * @param {Array} data - Array of event objects
+     * @param {Object} options - Configuration options (optional)
+     * @returns {string} HTML of the timetable
+     */
+    static renderToString(data, options = {}) {
+        const timetable = new Timetable(null, data, options);
+        timetable._document = Timetable._markupDocument;
+        return timetable._renderWrapper().outerHTML;
+    }
+
+    /**
+     * Gets the current time from the `now` option, or the system clock
+     * @returns {Date} Current time
+     */
+    getNow() {
+        return this.options.now ? new Date(this.options.now()) : new Date();
+    }
+
+    /**
+     * Starts (or stops) refreshing the "now" indicator every `nowRefreshInterval` ms
+     */
+    _scheduleNowUpdates() {
+        clearInterval(this._nowTimer);
+        this._nowTimer = null;
+        if (!this._headless && this.options.showNow && this.options.nowRefreshInterval > 0) {
+            this._nowTimer = setInterval(() => this._updateNowIndicator(), this.options.nowRefreshInterval);
+        }
+    }
+
+    /**
+     * Updates the rendered timetable for the current time without re-rendering it:
+     * highlights today's column (or month cell / agenda day), marks past events,
+     * the event happening now and the next one, and places a line across today's
+     * grid column at the current time
+     */
+    _updateNowIndicator() {
+        const wrapper = this.wrapperElement;
+        if (!wrapper) return;
+
+        const now = this.getNow();
+        const todayKey = this._dateKey(now);
+        const nowMinutes = now.getHours() * 60 + now.getMinutes();
+
+        wrapper.querySelectorAll(".today, .now-slot, .event-past, .event-now, .event-next").forEach((element) => {
+            element.classList.remove("today", "now-slot", "event-past", "event-now", "event-next");
         });
+        wrapper.querySelectorAll(".now-line").forEach((line) => line.remove());
+        if (!this.options.showNow) return;
+
+        // Today's column, month cell or agenda day
+        const columnsAreDates = this.getView() !== "resource";
+        wrapper.querySelectorAll(`[data-date="${todayKey}"]`).forEach((element) => element.classList.add("today"));
+        if (columnsAreDates) {
+            wrapper.querySelectorAll(`th[data-key="${todayKey}"], td[data-key="${todayKey}"]`)
+                .forEach((element) => element.classList.add("today"));
+        }
 
-        // Pre-process events to assign them to the correct slot
-        days.forEach((day) => {
-            // Sort events by their start time
-            this.data[day].sort((a, b) => a.startMinutes - b.startMinutes);
+        // Past events are dimmed; the ongoing events and the next ones are emphasized
+        const elements = [...wrapper.querySelectorAll("[data-event-id]")];
+        const shown = elements.map((element) => this.getEvent(element.getAttribute("data-event-id")));
+        const upcoming = shown.filter((event) => event && event.start > now);
+        const nextStart = upcoming.length > 0 ? Math.min(...upcoming.map((event) => event.start.getTime())) : null;
+        elements.forEach((element, index) => {
+            const event = shown[index];
+            if (!event) return;
+            element.classList.toggle("event-past", event.end <= now);
+            element.classList.toggle("event-now", event.start <= now && event.end > now);
+            element.classList.toggle("event-next", event.start.getTime() === nextStart);
+        });
 
-            this.data[day].forEach((event) => {
-                // Get exact slot index for the start time
-                const slotIndex = this.getTimeSlotIndex(event.startMinutes);
-                event.slotIndex = slotIndex;
-                event.rowSpan = this.getRowSpan(event.duration); // rowSpan directly from duration
-                event.exactTimeSlot = this.isExactTimeSlot(event.startMinutes);
+        // Line at the current time, when today is shown in the grid
+        const table = wrapper.querySelector("table.timetable:not(.timetable-month)");
+        const todayShown = columnsAreDates
+            ? !!wrapper.querySelector(`th[data-key="${todayKey}"]`)
+            : this._dateKey(this.currentDate) === todayKey;
+        if (!table || !todayShown) return;
 
-                // Calculate position offset if not aligned with time slot
-                if (!event.exactTimeSlot) {
-                    const slotStartMinutes = this.timeSlots[slotIndex].minutes;
-                    event.offsetMinutes = event.startMinutes - slotStartMinutes;
+        const interval = this.options.timeInterval;
+        const timeCells = [...table.querySelectorAll(".time-cell[data-time]")];
+        const timeCell = timeCells.find((cell) => {
+            const minutes = Number(cell.getAttribute("data-time"));
+            return nowMinutes >= minutes && nowMinutes < minutes + interval;
+        });
+        if (!timeCell) return;
+
+        timeCell.classList.add("now-slot");
+        const top = this.getHeightForDuration(nowMinutes - Number(timeCells[0].getAttribute("data-time")));
+        const selector = columnsAreDates
+            ? `td[data-key="${todayKey}"] .timetable-day-column`
+            : ".timetable-day-column";
+        table.querySelectorAll(selector).forEach((column) => {
+            const line = document.createElement("div");
+            line.className = "now-line";
+            line.title = this.formatTimeLabel(nowMinutes);
+            line.style.top = top + "px";
+            column.appendChild(line);
+        });
+    }
 
-                    // Handle events that don't start exactly on time slots
-                    if (event.offsetMinutes > 0) {
-                        // No need to adjust rowspan here - we'll use the full duration
+    /**
+     * Builds the resource view columns of a day: one per value of `resourceField`
+     * (or per entry of `resources`). Comma-separated values are split, so an event
+     * taught by "CUKALLA Etleva, OSTER Alain" appears under both names. Events with a
+     * placeholder ("TBD", "N/A", ...) go to a trailing "Unspecified" column unless the
+     * placeholder is listed in `resources`.
+     * @param {Object} day - Visible day from `_getVisibleDays`
+     * @returns {Array} Grid columns
+     */
+    _getResourceColumns(day) {
+        const field = this.options.resourceField;
+        const byResource = new Map();
+        (this.options.resources || []).forEach((resource) => byResource.set(String(resource), []));
+        const placeholder = this._getPlaceholders()[field];
+
+        const unassigned = [];
+
+        this.data[day.key].forEach((event) => {
+            this._splitValues(event[field]).forEach((resource) => {
+                if (!byResource.has(resource)) {
+                    if (resource === placeholder) {
+                        unassigned.push(event);
+                        return;
                     }
+                    if (this.options.resources) return;
+                    byResource.set(resource, []);
                 }
+                byResource.get(resource).push(event);
             });
         });
 
-        // Generate rows for each time slot
-        this.timeSlots.forEach((timeSlot, slotIndex) => {
-            let row = document.createElement("tr");
-            row.setAttribute("data-time", timeSlot.minutes);
+        const names = this.options.resources
+            ? [...byResource.keys()]
+            : [...byResource.keys()].sort((a, b) => a.localeCompare(b));
+        const columns = names.map((resource) => ({
+            ...day,
+            key: resource,
+            resource,
+            label: resource,
+            subLabel: "",
+            events: byResource.get(resource),
+        }));
+        if (unassigned.length > 0) {
+            columns.push({
+                ...day,
+                key: placeholder,
+                resource: placeholder,
+                label: this._t("unspecified"),
+                subLabel: "",
+                events: unassigned,
+            });
+        }
+        return columns;
+    }
 
-            // Add classes to help with styling
-            if (timeSlot.isHour) {
-                row.classList.add("hour-row");
-            } else if (timeSlot.isHalfHour) {
-                row.classList.add("half-hour-row");
-            } else {
-                row.classList.add("quarter-row");
+    /**
+     * Renders the time grid (day, week and resource views): one row per time slot and one
+     * column per entry of `columns`
+     * @param {Array} columns - Objects with `key`, `label`, `subLabel`, `date`, `day`,
+     *   `events` and, in the resource view, `resource`
+     * @returns {HTMLElement} Table element
+     */
+    _renderGrid(columns) {
+        this.timeSlots = this.generateTimeSlots();
+        const range = this.getVisibleRange();
+        const slotHeight = this.getHeightForDuration(this.options.timeInterval);
+
+        // Geometry of every column, computed once per render
+        const layouts = new Map(columns.map((column) => [column.key, Timetable.layoutDay(column.events, {
+            start: range.start,
+            end: range.end,
+            timeInterval: this.options.timeInterval,
+            slotHeight,
+            minRowSpan: this.options.minRowSpan,
+        })]));
+
+        let table = this._document.createElement("table");
+        table.classList.add("timetable", "timetable-grid");
+        let caption = this._document.createElement("caption");
+        caption.className = "timetable-sr-only";
+        caption.textContent = this._getRangeLabel();
+        table.appendChild(caption);
+
+        // Generate header
+        let thead = this._document.createElement("thead");
+        let headRow = this._document.createElement("tr");
+        let timeTh = this._document.createElement("th");
+        timeTh.className = "time-header";
+        timeTh.textContent = this._t("time");
+        headRow.appendChild(timeTh);
+        columns.forEach(({ key, label, subLabel }) => {
+            let th = this._document.createElement("th");
+            th.setAttribute("data-key", key);
+            th.setAttribute("scope", "col");
+            th.textContent = label;
+            if (subLabel) {
+                let dateLabel = this._document.createElement("span");
+                dateLabel.classList.add("timetable-date");
+                dateLabel.textContent = subLabel;
+                th.appendChild(dateLabel);
             }
+            // Events entirely outside the visible hours are counted instead
+            [["before", "↑", "earlier"], ["after", "↓", "later"]].forEach(([side, arrow, message]) => {
+                const hidden = layouts.get(key)[side];
+                if (hidden.length > 0) {
+                    let indicator = this._document.createElement("span");
+                    indicator.classList.add("timetable-outside-indicator", `outside-${side}`);
+                    indicator.textContent = `${arrow} ${this._t(message, { count: hidden.length })}`;
+                    indicator.title = hidden.map((e) => `${e.startTime} - ${e.endTime} ${e.name}`).join("\n");
+                    th.appendChild(indicator);
+                }
+            });
+            headRow.appendChild(th);
+        });
+        thead.appendChild(headRow);
+        table.appendChild(thead);
 
-            // Time column - only show labels for hours and half hours
-            let timeCell = document.createElement("td");
+        // Body: one row holding the time column and one positioned column per entry of `columns`
+        let tbody = this._document.createElement("tbody");
+        let row = this._document.createElement("tr");
+
+        let timeColumn = this._document.createElement("td");
+        timeColumn.classList.add("time-column");
+        this.timeSlots.forEach((timeSlot) => {
+            // Only show labels for hours
+            let timeCell = this._document.createElement("div");
+            timeCell.classList.add("time-cell", timeSlot.isHour ? "hour-cell" : timeSlot.isHalfHour ? "half-hour-cell" : "quarter-cell");
+            timeCell.setAttribute("data-time", timeSlot.minutes);
+            timeCell.style.height = slotHeight + "px";
             if (timeSlot.isHour) {
                 timeCell.textContent = timeSlot.label;
-                timeCell.classList.add("time-cell");
-                timeCell.classList.add("hour-cell");
-            } else {
-                timeCell.classList.add("time-cell");
-                if (timeSlot.isHalfHour) {
-                    timeCell.classList.add("half-hour-cell");
-                } else {
-                    timeCell.classList.add("quarter-cell");
-                }
             }
-            row.appendChild(timeCell);
+            timeColumn.appendChild(timeCell);
+        });
+        row.appendChild(timeColumn);
+
+        // Columns whose content did not change are reused from the previous render
+        const cache = new Map();
+        columns.forEach((column) => {
+            let cell = this._document.createElement("td");
+            cell.classList.add("day-column");
+            cell.setAttribute("data-key", column.key);
+
+            const layout = layouts.get(column.key);
+            const signature = this._getColumnSignature(column, layout, columns);
+            const cached = this._columnCache.get(column.key);
+            const content = cached && cached.signature === signature
+                ? cached.element
+                : this._renderDayColumn(column, layout, columns);
+            cache.set(column.key, { signature, element: content });
+
+            cell.appendChild(content);
+            row.appendChild(cell);
+        });
+        this._columnCache = cache;
 
-            // Create cells for each day
-            days.forEach((day) => {
-                // Skip if this cell is already occupied by a rowspan from an earlier event
-                if (cellOccupied[day][slotIndex]) {
-                    return;
-                }
+        tbody.appendChild(row);
+        table.appendChild(tbody);
 
-                // Find events that should start at exactly this time slot
-                const eventsStartingHere = this.data[day].filter((event) => {
-                    return event.slotIndex === slotIndex;
-                });
+        // One tab stop for the whole grid (the first event, else the first slot); the
+        // arrow keys move between items and the last focused one keeps the tab stop
+        table.querySelectorAll('[data-nav-minutes][tabindex="0"]').forEach((item) => item.setAttribute("tabindex", "-1"));
+        const firstItem = table.querySelector(".event[data-nav-minutes]") || table.querySelector("[data-nav-minutes]");
+        if (firstItem) {
+            firstItem.setAttribute("tabindex", "0");
+        }
+        table.addEventListener("keydown", (e) => this._onGridKeydown(e, table));
+        table.addEventListener("focusin", (e) => {
+            const item = e.target.closest("[data-nav-minutes]");
+            if (!item) return;
+            table.querySelectorAll('[data-nav-minutes][tabindex="0"]').forEach((other) => other.setAttribute("tabindex", "-1"));
+            item.setAttribute("tabindex", "0");
+        });
 
-                if (eventsStartingHere.length > 0) {
-                    // We have events starting at this slot
-                    // Compute rowspan for each event already computed as ceil(duration / 15)
-                    // Use maximum if multiple events occupy same slot.
-                    let cellRowSpan = Math.max(...eventsStartingHere.map(event => event.rowSpan));
-
-                    let cell = document.createElement("td");
-                    cell.classList.add("event-cell");
-                    cell.style.height = "100%";
-                    if (cellRowSpan > 1) {
-                        cell.setAttribute("rowspan", cellRowSpan);
-                        for (let i = 1; i < cellRowSpan && slotIndex + i < this.timeSlots.length; i++) {
-                            cellOccupied[day][slotIndex + i] = true;
-                        }
-                    }
+        return table;
+    }
 
-                    // If only one event, render as before;
-                    // if multiple, use a flex container to display them side by side.
-                    if (eventsStartingHere.length === 1) {
-                        let event = eventsStartingHere[0];
-                        if (!event.exactTimeSlot) {
-                            event.displayStartTime = event.startTime + ' (exact)';
-                        } else {
-                            event.displayStartTime = event.startTime;
-                        }
-                        let eventDiv = document.createElement("div");
-                        const categoryClass = this._cleanCategoryForCss(event.category);
-                        eventDiv.classList.add("event", categoryClass);
-                        // Fixed segment height: 20px per 15 minutes segment
-                        const segmentHeight = 20;
-                        eventDiv.style.height = (event.rowSpan * segmentHeight) + "px";
-                        eventDiv.style.overflow = "auto";
-
-                        // ... (retain adding color bar, title, time, details, click event) ...
-                        let colorBar = document.createElement("div");
-                        colorBar.classList.add("event-color-bar", categoryClass);
-                        eventDiv.appendChild(colorBar);
-
-                        let titleElem = document.createElement("div");
-                        titleElem.classList.add("event-title");
-                        titleElem.textContent = event.name;
-                        eventDiv.appendChild(titleElem);
-
-                        let timeRangeElem = document.createElement("div");
-                        timeRangeElem.classList.add("event-time");
-                        timeRangeElem.textContent = `${event.displayStartTime} - ${event.endTime}`;
-                        eventDiv.appendChild(timeRangeElem);
-
-                        // ADD BASIC INFO: show location if defined
-                        if (this.options.showClasse) {
-                            if (event.location && event.location !== "TBD") {
-                                let classeInfo = document.createElement("div");
-                                classeInfo.classList.add("event-basic-info");
-                                classeInfo.textContent = event.location;
-                                eventDiv.appendChild(classeInfo);
-                            }
-                        }
-                        if (this.options.showProf) {
-                            if (event.staff && event.staff !== "N/A") {
-                                let profInfo = document.createElement("div");
-                                profInfo.classList.add("event-basic-info");
-                                profInfo.textContent = event.staff;
-                                eventDiv.appendChild(profInfo);
-                            }
-                        }
-
-                        let detailsElem = document.createElement("div");
-                        detailsElem.classList.add("event-details");
-                        /* ...existing icon/text details code... */
-                        eventDiv.appendChild(detailsElem);
-
-                        if (this.options.modalEnabled) {
-                            eventDiv.addEventListener('click', () => { this.openModal(event); });
-                        }
-                        cell.appendChild(eventDiv);
-                    } else {
-                        // Multiple events in same slot: create a flex container.
-                        let container = document.createElement("div");
-                        container.style.display = "flex";
-                        container.style.gap = "2px";
-                        eventsStartingHere.forEach((event) => {
-                            if (!event.exactTimeSlot) {
-                                event.displayStartTime = event.startTime + ' (exact)';
-                            } else {
-                                event.displayStartTime = event.startTime;
-                            }
-                            let eventDiv = document.createElement("div");
-                            const categoryClass = this._cleanCategoryForCss(event.category);
-                            eventDiv.classList.add("event", categoryClass);
-                            // Use the event's computed rowSpan; for consistency, use fixed segment height.
-                            const segmentHeight = 20;
-                            eventDiv.style.height = (event.rowSpan * segmentHeight) + "px";
-                            eventDiv.style.flex = "1"; // evenly distribute width
-                            eventDiv.style.overflow = "auto";
-
-                            let colorBar = document.createElement("div");
-                            colorBar.classList.add("event-color-bar", categoryClass);
-                            eventDiv.appendChild(colorBar);
-
-                            let titleElem = document.createElement("div");
-                            titleElem.classList.add("event-title");
-                            titleElem.textContent = event.name;
-                            eventDiv.appendChild(titleElem);
-
-                            let timeRangeElem = document.createElement("div");
-                            timeRangeElem.classList.add("event-time");
-                            timeRangeElem.textContent = `${event.displayStartTime} - ${event.endTime}`;
-                            eventDiv.appendChild(timeRangeElem);
-
-                            // ADD BASIC INFO: show location if defined
-                            if (this.options.showClasse) {
-                                if (event.location && event.location !== "TBD") {
-                                    let classeInfo = document.createElement("div");
-                                    classeInfo.classList.add("event-basic-info");
-                                    classeInfo.textContent = event.location;
-                                    eventDiv.appendChild(classeInfo);
-                                }
-                            }
-                            if (this.options.showProf) {
-                                if (event.staff && event.staff !== "N/A") {
-                                    let profInfo = document.createElement("div");
-                                    profInfo.classList.add("event-basic-info");
-                                    profInfo.textContent = event.staff;
-                                    eventDiv.appendChild(profInfo);
-                                }
-                            }
-
-                            let detailsElem = document.createElement("div");
-                            detailsElem.classList.add("event-details");
-
-                            eventDiv.appendChild(detailsElem);
-
-                            if (this.options.modalEnabled) {
-                                eventDiv.addEventListener('click', () => { this.openModal(event); });
-                            }
-                            container.appendChild(eventDiv);
-                        });
-                        cell.appendChild(container);
-                    }
-                    row.appendChild(cell);
-                } else if (!cellOccupied[day][slotIndex]) {
-                    // Empty cell
-                    let cell = document.createElement("td");
-                    cell.classList.add("empty-cell");
-
-                    // Set minimum height based on time interval
-                    const minHeight = Math.ceil(this.options.timeInterval / 15) * 10;
-
-                    if (timeSlot.isHour) {
-                        cell.classList.add("hour-cell");
-                    } else if (timeSlot.isHalfHour) {
-                        cell.classList.add("half-hour-cell");
-                    } else {
-                        cell.classList.add("quarter-cell");
+    /**
+     * Describes everything a rendered grid column depends on, so that an unchanged
+     * column can be reused instead of rebuilt
+     * @param {Object} column - Grid column
+     * @param {Object} layout - Column layout from `Timetable.layoutDay`
+     * @param {Array} columns - All grid columns
+     * @returns {string} Signature
+     */
+    _getColumnSignature(column, layout, columns) {
+        const dateKey = this._dateKey(column.date);
+        return JSON.stringify([
+            this.getView(),
+            columns.map(({ key }) => key),
+            dateKey,
+            column.resource,
+            this.timeSlots.length > 0 ? this.timeSlots[0].minutes : null,
+            this.timeSlots.length,
+            this._getHighlightsIn(dateKey, 0, 24 * 60).map((slot) => [slot.startMinutes, slot.endMinutes]),
+            layout.blocks.map(({ event, top, height, lane, laneCount }) => [
+                event.id,
+                this._getRecordSerial(event.raw),
+                event.start.getTime(),
+                event.end.getTime(),
+                event.name,
+                event.location,
+                event.staff,
+                event.group,
+                event.category,
+                event.remarks,
+                this.getCategoryStyle(event.category).color,
+                top,
+                height,
+                lane,
+                laneCount,
+                this.matchesSearch(event),
+                this._conflictIndex ? this._conflictIndex.get(event.id) || null : null,
+            ]),
+        ]);
+    }
+
+    /**
+     * Numbers raw records, so that a record replaced by `updateEvent` is told apart
+     * from the one it replaces
+     * @param {Object} record - Raw record
+     * @returns {number} Serial number of the record object
+     */
+    _getRecordSerial(record) {
+        if (!this._recordSerials.has(record)) {
+            this._recordSerials.set(record, ++this._recordSerialCount);
+        }
+        return this._recordSerials.get(record);
+    }
+
+    /**
+     * Renders the content of one grid column: a stack of slots (clickable where no
+     * event covers them) under absolutely positioned event blocks
+     * @param {Object} column - Grid column
+     * @param {Object} layout - Column layout from `Timetable.layoutDay`
+     * @param {Array} columns - All grid columns
+     * @returns {HTMLElement} Column content
+     */
+    _renderDayColumn(column, layout, columns) {
+        const interval = this.options.timeInterval;
+        const dateKey = this._dateKey(column.date);
+        const content = this._document.createElement("div");
+        content.classList.add("timetable-day-column");
+        content.style.height = layout.height + "px";
+
+        this.timeSlots.forEach((timeSlot) => {
+            let cell = this._document.createElement("div");
+            cell.classList.add("empty-cell", timeSlot.isHour ? "hour-cell" : timeSlot.isHalfHour ? "half-hour-cell" : "quarter-cell");
+            cell.setAttribute("data-key", column.key);
+            cell.setAttribute("data-time", timeSlot.minutes);
+            // Each slot is `slotHeight` pixels tall
+            cell.style.height = this.getHeightForDuration(interval) + "px";
+
+            // Slots hidden by an event are not reachable from the keyboard
+            const covered = layout.blocks.some((block) =>
+                block.startMinutes < timeSlot.minutes + interval && block.endMinutes > timeSlot.minutes);
+            if (!covered) {
+                cell.setAttribute("data-nav-minutes", timeSlot.minutes);
+                cell.setAttribute("tabindex", "-1");
+                cell.setAttribute("aria-label", `${column.label} ${column.subLabel} ${timeSlot.label}`.replace(/\s+/g, " "));
+                cell.addEventListener("keydown", (e) => {
+                    if ((e.key === "Enter" || e.key === " ") && e.target === cell) {
+                        e.preventDefault();
+                        cell.click();
                     }
+                });
+            }
 
-                    // Add a placeholder div with appropriate height to maintain spacing
-                    let spacerDiv = document.createElement("div");
-                    spacerDiv.style.height = minHeight + "px";
-                    spacerDiv.style.width = "100%";
-                    cell.appendChild(spacerDiv);
+            const [highlight] = this._getHighlightsIn(dateKey, timeSlot.minutes, timeSlot.minutes + interval);
+            if (highlight) {
+                cell.classList.add("free-slot");
+                cell.title = `${highlight.startTime || this.formatTimeLabel(highlight.startMinutes)} - ${highlight.endTime || this.formatTimeLabel(highlight.endMinutes)}`;
+                cell.addEventListener("click", (e) => this._selectHighlight(highlight, e));
+            }
 
-                    row.appendChild(cell);
-                }
+            cell.addEventListener("click", (e) => {
+                this._emit("slotClick", {
+                    date: column.date,
+                    dateKey,
+                    day: column.day,
+                    resource: column.resource,
+                    minutes: timeSlot.minutes,
+                    time: timeSlot.label,
+                    domEvent: e,
+                });
             });
 
-            tbody.appendChild(row);
+            content.appendChild(cell);
+        });
+
+        // Position each event by its real start/end and lane
+        layout.blocks.forEach((block) => {
+            let eventDiv = this._createEventElement(block.event, block);
+            eventDiv.setAttribute("data-nav-minutes", block.startMinutes);
+            eventDiv.setAttribute("tabindex", "-1");
+            eventDiv.style.top = block.top + "px";
+            eventDiv.style.height = block.height + "px";
+            eventDiv.style.left = (block.lane / block.laneCount * 100) + "%";
+            eventDiv.style.width = (100 / block.laneCount) + "%";
+            if (this.options.editable) {
+                this._makeEditable(eventDiv, block.event, column, columns);
+            }
+            content.appendChild(eventDiv);
+        });
+
+        return content;
+    }
+
+    /**
+     * Renders the month view: a grid of weeks where each day shows its event count
+     * and up to `monthMaxChips` event chips. Clicking a day number opens its day view.
+     * @returns {HTMLElement} Table element
+     */
+    _renderMonth() {
+        const { start, end } = this.getRange();
+        const weekdays = [];
+        for (let i = 0; i < 7; i++) {
+            const date = this._startOfWeek(start);
+            date.setDate(date.getDate() + i);
+            const day = this._getDayOfWeek(date);
+            if (this.options.weekdays.includes(day)) {
+                weekdays.push({ offset: i, day });
+            }
+        }
+
+        // The grid also covers the days of the first and last week outside the month
+        const gridStart = this._startOfWeek(start);
+        const gridEnd = this._startOfWeek(end);
+        gridEnd.setDate(gridEnd.getDate() + 6);
+        const gridDays = [];
+        for (let date = new Date(gridStart); date <= gridEnd; date.setDate(date.getDate() + 1)) {
+            gridDays.push({ key: this._dateKey(date), date: new Date(date), day: this._getDayOfWeek(date) });
+        }
+        const eventsByDate = this._getEventsByDate(gridDays);
+
+        const table = this._document.createElement("table");
+        table.classList.add("timetable", "timetable-month");
+
+        const thead = this._document.createElement("thead");
+        const headRow = this._document.createElement("tr");
+        weekdays.forEach(({ day }) => {
+            const th = this._document.createElement("th");
+            th.textContent = this.getDayLabel(day);
+            headRow.appendChild(th);
         });
+        thead.appendChild(headRow);
+        table.appendChild(thead);
+
+        const tbody = this._document.createElement("tbody");
+        for (let week = 0; week < gridDays.length / 7; week++) {
+            const row = this._document.createElement("tr");
+            weekdays.forEach(({ offset }) => {
+                const { key, date } = gridDays[week * 7 + offset];
+                const events = eventsByDate[key];
+
+                const cell = this._document.createElement("td");
+                cell.classList.add("timetable-month-day");
+                cell.classList.toggle("other-month", date.getMonth() !== start.getMonth());
+                cell.setAttribute("data-date", key);
+
+                const header = this._document.createElement("div");
+                header.className = "timetable-month-header";
+                const dayNumber = this._document.createElement("button");
+                dayNumber.type = "button";
+                dayNumber.className = "timetable-month-date";
+                dayNumber.textContent = date.getDate();
+                dayNumber.addEventListener("click", () => {
+                    this.currentDate = date;
+                    this.setView("day");
+                });
+                header.appendChild(dayNumber);
+                if (events.length > 0) {
+                    const count = this._document.createElement("span");
+                    count.className = "timetable-month-count";
+                    count.textContent = events.length;
+                    header.appendChild(count);
+                }
+                cell.appendChild(header);
+
+                events.slice(0, this.options.monthMaxChips).forEach((event) => {
+                    const chip = this._document.createElement("div");
+                    chip.classList.add("timetable-month-chip", this._cleanCategoryForCss(event.category));
+                    chip.style.setProperty("--category-color", this.getCategoryStyle(event.category).color);
+                    chip.classList.toggle("search-match", this.matchesSearch(event));
+                    const colorBar = this._document.createElement("span");
+                    colorBar.classList.add("event-color-bar", this._cleanCategoryForCss(event.category));
+                    chip.appendChild(colorBar);
+                    this._appendRendered(chip, this.options.renderEvent, event, {
+                        view: "month",
+                        height: null,
+                        laneCount: 1,
+                        compact: true,
+                    }, () => this._document.createTextNode(`${event.startTime} ${event.name}`));
+                    chip.title = `${event.startTime} - ${event.endTime} ${event.name}`;
+                    this._attachEventHandlers(chip, event);
+                    cell.appendChild(chip);
+                });
+                if (events.length > this.options.monthMaxChips) {
+                    const more = this._document.createElement("div");
+                    more.className = "timetable-month-more";
+                    more.textContent = this._t("more", { count: events.length - this.options.monthMaxChips });
+                    cell.appendChild(more);
+                }
 
+                row.appendChild(cell);
+            });
+            tbody.appendChild(row);
+        }
         table.appendChild(tbody);
-        wrapper.appendChild(table);
-        this.container.appendChild(wrapper);
+
+        return table;
+    }
+
+    /**
+     * Renders the agenda view: the visible days' events as a chronological list
+     * grouped by date
+     * @param {Array} days - Visible days from `_getVisibleDays`
+     * @returns {HTMLElement} Agenda element
+     */
+    _renderAgenda(days) {
+        const agenda = this._document.createElement("div");
+        agenda.className = "timetable-agenda";
+        const placeholders = this._getPlaceholders();
+
+        days.forEach(({ key, date, day }) => {
+            const events = this.data[key];
+            if (events.length === 0) {
+                return;
+            }
+
+            const section = this._document.createElement("section");
+            section.className = "timetable-agenda-day";
+            section.setAttribute("data-date", key);
+
+            const heading = this._document.createElement("h4");
+            heading.className = "timetable-agenda-date";
+            heading.textContent = `${this.getDayLabel(day)} ${this.formatDateLabel(date, true)}`;
+            section.appendChild(heading);
+
+            events.forEach((event) => {
+                const item = this._document.createElement("div");
+                item.classList.add("timetable-agenda-item", this._cleanCategoryForCss(event.category));
+                item.style.setProperty("--category-color", this.getCategoryStyle(event.category).color);
+                item.classList.toggle("search-match", this.matchesSearch(event));
+
+                const colorBar = this._document.createElement("div");
+                colorBar.classList.add("event-color-bar", this._cleanCategoryForCss(event.category));
+                item.appendChild(colorBar);
+
+                this._appendRendered(item, this.options.renderEvent, event, {
+                    view: "agenda",
+                    height: null,
+                    laneCount: 1,
+                    compact: false,
+                }, () => {
+                    const content = this._document.createDocumentFragment();
+                    const time = this._document.createElement("div");
+                    time.className = "timetable-agenda-time";
+                    time.textContent = `${event.startTime} - ${event.endTime}`;
+                    content.appendChild(time);
+
+                    const details = this._document.createElement("div");
+                    details.className = "timetable-agenda-details";
+                    const title = this._document.createElement("div");
+                    title.className = "event-title";
+                    title.textContent = event.name;
+                    details.appendChild(title);
+                    [event.location !== placeholders.location && event.location, event.staff !== placeholders.staff && event.staff]
+                        .filter(Boolean)
+                        .forEach((text) => {
+                            const info = this._document.createElement("div");
+                            info.className = "event-basic-info";
+                            info.textContent = text;
+                            details.appendChild(info);
+                        });
+                    content.appendChild(details);
+                    return content;
+                });
+
+                this._attachEventHandlers(item, event);
+                section.appendChild(item);
+            });
+
+            agenda.appendChild(section);
+        });
+
+        if (!agenda.firstChild) {
+            const empty = this._document.createElement("p");
+            empty.className = "timetable-agenda-empty";
+            empty.textContent = this._t("noEvents");
+            agenda.appendChild(empty);
+        }
+
+        return agenda;
     }
 }
 
+/**
+ * Message catalogs keyed by locale or language. `_t` falls back from the `messages`
+ * option to the full locale ("fr-CA"), its language ("fr") and then English.
+ */
+Timetable.messages = {
+    en: {
+        time: "Time",
+        category: "Category",
+        location: "Location",
+        staff: "Staff",
+        group: "Group",
+        room: "Room",
+        notes: "Notes",
+        close: "Close",
+        addToCalendar: "Add to calendar",
+        previous: "Previous",
+        next: "Next",
+        today: "Today",
+        day: "Day",
+        week: "Week",
+        month: "Month",
+        agenda: "Agenda",
+        resources: "Resources",
+        search: "Search...",
+        allGroups: "All groups",
+        allCategories: "All categories",
+        allStaff: "All staff",
+        allRooms: "All rooms",
+        earlier: "{count} earlier",
+        later: "{count} later",
+        more: "+{count} more",
+        noEvents: "No events",
+        eventSummary: "{name}, {day} {date} {start} to {end}",
+        unspecified: "Unspecified",
+        noLocation: "TBD",
+        noStaff: "N/A",
+        allGroupsPlaceholder: "All",
+        otherCategory: "Other",
+    },
+    fr: {
+        time: "Heure",
+        category: "Catégorie",
+        location: "Salle",
+        staff: "Personnel",
+        group: "Groupe",
+        room: "Salle",
+        notes: "Remarques",
+        close: "Fermer",
+        addToCalendar: "Ajouter au calendrier",
+        previous: "Précédent",
+        next: "Suivant",
+        today: "Aujourd’hui",
+        day: "Jour",
+        week: "Semaine",
+        month: "Mois",
+        agenda: "Agenda",
+        resources: "Ressources",
+        search: "Rechercher...",
+        allGroups: "Tous les groupes",
+        allCategories: "Toutes les catégories",
+        allStaff: "Tout le personnel",
+        allRooms: "Toutes les salles",
+        earlier: "{count} plus tôt",
+        later: "{count} plus tard",
+        more: "+{count} de plus",
+        noEvents: "Aucun événement",
+        eventSummary: "{name}, {day} {date} de {start} à {end}",
+        unspecified: "Non précisé",
+        noLocation: "À définir",
+        noStaff: "N/C",
+        allGroupsPlaceholder: "Tous",
+        otherCategory: "Autre",
+    },
+};
+
+/**
+ * Built-in category styles, checked after the `categories` option. Each entry has a
+ * `match` (name, RegExp or function), a `color` and a Font Awesome `icon`.
+ */
+Timetable.categories = [
+    { match: /^travaux dirig|\(TD\)/i, color: "#3a86ff", icon: "fa-chalkboard-user" },
+    { match: /^travaux pratiques|\(TP\)/i, color: "#8338ec", icon: "fa-flask" },
+    { match: /^cours magistra|\(CM\)/i, color: "#ff9e00", icon: "fa-person-chalkboard" },
+    { match: /^projet/i, color: "#06d6a0", icon: "fa-diagram-project" },
+    { match: /^(ds|devoir surveillé|examen)(\s|$)/i, color: "#ef476f", icon: "fa-file-pen" },
+    { match: /^r[ée]union/i, color: "#8ac926", icon: "fa-users" },
+];
+
+// Views accepted by setView and the `view` option
+Timetable.views = ["day", "week", "month", "agenda", "resource"];
+
+// Number of instances relying on the shared Font Awesome stylesheet
+Timetable._fontAwesomeUsers = 0;
+
+// Number of instances created, used to keep generated element ids unique
+Timetable._instanceCount = 0;
+
+/**
+ * Built-in input adapters. `fields` maps each prepared field to the raw key it is
+ * read from, and `parse(record, fields)` returns the event's `start` and `end` Dates.
+ * `serialize({ start, end }, fields, record)` does the reverse for edited events and
+ * returns the raw fields to change.
+ */
+Timetable.adapters = {
+    /**
+     * French export: `Date` as dd/mm/yyyy and `Heure` as "HH:MM-HH:MM"
+     */
+    french: {
+        fields: {
+            date: "Date",
+            time: "Heure",
+            name: "Matière",
+            staff: "Personnel",
+            group: "Groupe",
+            location: "Salle",
+            category: "Catégorie d’événement",
+            remarks: "Remarques",
+            id: "id",
+        },
+        parse(record, fields) {
+            const dateStr = record[fields.date];
+            const timeStr = record[fields.time];
+
+            const dateMatch = typeof dateStr === "string" && dateStr.trim().match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+            if (!dateMatch) {
+                throw new Error(`Invalid ${fields.date} "${dateStr}", expected dd/mm/yyyy`);
+            }
+            const timeMatch = typeof timeStr === "string" && timeStr.match(/^\s*(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})\s*$/);
+            if (!timeMatch) {
+                throw new Error(`Invalid ${fields.time} "${timeStr}", expected HH:MM-HH:MM`);
+            }
+
+            const [, day, month, year] = dateMatch.map(Number);
+            const [, startHour, startMinute, endHour, endMinute] = timeMatch.map(Number);
+            if (startHour > 23 || endHour > 24 || startMinute > 59 || endMinute > 59) {
+                throw new Error(`Invalid ${fields.time} "${timeStr}"`);
+            }
+
+            const start = new Date(year, month - 1, day, startHour, startMinute);
+            if (start.getDate() !== day || start.getMonth() !== month - 1) {
+                throw new Error(`Invalid ${fields.date} "${dateStr}"`);
+            }
+
+            return {
+                start,
+                end: new Date(year, month - 1, day, endHour, endMinute),
+            };
+        },
+        serialize({ start, end }, fields) {
+            const pad = (n) => String(n).padStart(2, "0");
+            const time = (date) => `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+            // An event ending at midnight keeps its own date with "24:00"
+            const endTime = end.getDate() !== start.getDate() ? "24:00" : time(end);
+            return {
+                [fields.date]: `${pad(start.getDate())}/${pad(start.getMonth() + 1)}/${start.getFullYear()}`,
+                [fields.time]: `${time(start)}-${endTime}`,
+            };
+        },
+    },
+
+    /**
+     * ISO 8601 strings or Date objects in `start` and `end`
+     */
+    iso: {
+        fields: {
+            start: "start",
+            end: "end",
+            name: "name",
+            staff: "staff",
+            group: "group",
+            location: "location",
+            category: "category",
+            remarks: "remarks",
+            id: "id",
+        },
+        parse(record, fields) {
+            const toDate = (value) => {
+                if (Object.prototype.toString.call(value) === "[object Date]") return new Date(value.getTime());
+                if (typeof value === "string" && value) return new Date(value);
+                return null;
+            };
+            return {
+                start: toDate(record[fields.start]),
+                end: toDate(record[fields.end]),
+            };
+        },
+        serialize({ start, end }, fields, record) {
+            // Keep Date objects as Dates, write strings back as ISO strings
+            const write = (date, previous) =>
+                Object.prototype.toString.call(previous) === "[object Date]" ? date : date.toISOString();
+            return {
+                [fields.start]: write(start, record[fields.start]),
+                [fields.end]: write(end, record[fields.end]),
+            };
+        },
+    },
+
+    /**
+     * Epoch timestamps in milliseconds in `start` and `end`
+     */
+    epoch: {
+        fields: {
+            start: "start",
+            end: "end",
+            name: "name",
+            staff: "staff",
+            group: "group",
+            location: "location",
+            category: "category",
+            remarks: "remarks",
+            id: "id",
+        },
+        parse(record, fields) {
+            const toDate = (value) => (typeof value === "number" && isFinite(value) ? new Date(value) : null);
+            return {
+                start: toDate(record[fields.start]),
+                end: toDate(record[fields.end]),
+            };
+        },
+        serialize({ start, end }, fields) {
+            return {
+                [fields.start]: start.getTime(),
+                [fields.end]: end.getTime(),
+            };
+        },
+    },
+};
+
+/**
+ * Minimal stand-in for DOM elements, so the rendering code can build markup without
+ * a browser (`Timetable.renderToString`). It supports what that code uses:
+ * attributes, classes, inline styles, text, children, raw HTML from `renderEvent`
+ * and simple selectors (`tag.class[attr="value"]`); event listeners are ignored.
+ */
+Timetable._MarkupElement = class MarkupElement {
+    /**
+     * @param {string|null} tagName - Tag name, or null for a document fragment
+     */
+    constructor(tagName) {
+        this.tagName = tagName ? tagName.toUpperCase() : null;
+        this.nodeType = tagName ? 1 : 11;
+        this.attributes = new Map();
+        this.childNodes = [];
+
+        // Inline styles, serialized into the `style` attribute
+        const styles = new Map();
+        this._styles = styles;
+        this.style = new Proxy({}, {
+            get: (target, name) => name === "setProperty"
+                ? (property, value) => this._setStyle(property, value)
+                : styles.get(String(name).replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`)) || "",
+            set: (target, name, value) => {
+                this._setStyle(String(name).replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`), value);
+                return true;
+            },
+        });
+
+        const classes = () => (this.getAttribute("class") || "").split(/\s+/).filter(Boolean);
+        const setClasses = (list) => this.setAttribute("class", [...new Set(list)].join(" "));
+        this.classList = {
+            add: (...names) => setClasses([...classes(), ...names.filter(Boolean)]),
+            remove: (...names) => setClasses(classes().filter((name) => !names.includes(name))),
+            contains: (name) => classes().includes(name),
+            toggle: (name, force = !classes().includes(name)) => {
+                setClasses(force ? [...classes(), name] : classes().filter((other) => other !== name));
+                return force;
+            },
+        };
+    }
+
+    _setStyle(property, value) {
+        if (!this.attributes.has("style")) {
+            this.attributes.set("style", "");
+        }
+        this._styles.set(property, String(value));
+    }
+
+    setAttribute(name, value) {
+        this.attributes.set(name, String(value));
+    }
+
+    getAttribute(name) {
+        if (name === "style" && this.attributes.has("style")) {
+            return [...this._styles].map(([property, value]) => `${property}: ${value};`).join(" ");
+        }
+        return this.attributes.has(name) ? this.attributes.get(name) : null;
+    }
+
+    hasAttribute(name) {
+        return this.attributes.has(name);
+    }
+
+    removeAttribute(name) {
+        this.attributes.delete(name);
+    }
+
+    get className() {
+        return this.getAttribute("class") || "";
+    }
+
+    set className(value) {
+        this.setAttribute("class", value);
+    }
+
+    get textContent() {
+        return this.childNodes.map((child) => child.textContent || "").join("");
+    }
+
+    set textContent(value) {
+        this.childNodes = [{ nodeType: 3, textContent: String(value) }];
+    }
+
+    get firstChild() {
+        return this.childNodes[0] || null;
+    }
+
+    appendChild(child) {
+        this.childNodes.push(...(child.nodeType === 11 ? child.childNodes.splice(0) : [child]));
+        return child;
+    }
+
+    prepend(child) {
+        this.childNodes.unshift(...(child.nodeType === 11 ? child.childNodes.splice(0) : [child]));
+    }
+
+    insertAdjacentHTML(position, html) {
+        this.childNodes.push({ nodeType: 3, textContent: "", html: String(html) });
+    }
+
+    addEventListener() {}
+
+    /**
+     * Whether the element matches a compound selector such as `td.today[data-key="x"]`
+     * @param {string} selector - Selector without combinators
+     * @returns {boolean} Whether it matches
+     */
+    matches(selector) {
+        const parts = selector.match(/^[\w-]+|\.[\w-]+|\[[\w-]+(?:="[^"]*")?\]/g) || [];
+        return parts.join("") === selector && parts.every((part) => {
+            if (part[0] === ".") {
+                return this.classList.contains(part.slice(1));
+            }
+            if (part[0] === "[") {
+                const [, name, value] = part.match(/^\[([\w-]+)(?:="([^"]*)")?\]$/);
+                return value === undefined ? this.hasAttribute(name) : this.getAttribute(name) === value;
+            }
+            return this.tagName === part.toUpperCase();
+        });
+    }
+
+    querySelectorAll(selector) {
+        const found = [];
+        const visit = (node) => node.childNodes.forEach((child) => {
+            if (child.nodeType === 1) {
+                if (child.matches(selector)) {
+                    found.push(child);
+                }
+                visit(child);
+            }
+        });
+        visit(this);
+        return found;
+    }
+
+    querySelector(selector) {
+        return this.querySelectorAll(selector)[0] || null;
+    }
+
+    get innerHTML() {
+        const escapeText = (text) => text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+        return this.childNodes.map((child) => {
+            if (child.nodeType === 1) {
+                return child.outerHTML;
+            }
+            return child.html !== undefined ? child.html : escapeText(child.textContent);
+        }).join("");
+    }
+
+    get outerHTML() {
+        if (!this.tagName) {
+            return this.innerHTML;
+        }
+        const tag = this.tagName.toLowerCase();
+        const attributes = [...this.attributes.keys()]
+            .map((name) => ` ${name}="${this.getAttribute(name).replace(/&/g, "&amp;").replace(/"/g, "&quot;")}"`)
+            .join("");
+        return MarkupElement.voidTags.includes(tag)
+            ? `<${tag}${attributes}>`
+            : `<${tag}${attributes}>${this.innerHTML}</${tag}>`;
+    }
+};
+
+Timetable._MarkupElement.voidTags = ["br", "hr", "img", "input", "link", "meta"];
+
+// Properties reflecting an attribute of the same name
+["id", "title", "type"].forEach((name) => {
+    Object.defineProperty(Timetable._MarkupElement.prototype, name, {
+        get() {
+            return this.getAttribute(name) || "";
+        },
+        set(value) {
+            this.setAttribute(name, value);
+        },
+    });
+});
+
+/**
+ * Document used to build markup outside a browser
+ */
+Timetable._markupDocument = {
+    createElement: (tagName) => new Timetable._MarkupElement(tagName),
+    createTextNode: (text) => ({ nodeType: 3, textContent: String(text) }),
+    createDocumentFragment: () => new Timetable._MarkupElement(null),
+};
+
 // Make Timetable available in the global scope for browser environments
 if (typeof window !== 'undefined') {
     window.Timetable = Timetable;